@@ -0,0 +1,513 @@
+/*
+* Reading and writing charts as standalone JSON documents.
+*
+* A chart document looks like:
+*
+*  {
+*    "format": "horizontal-history",
+*    "version": 11,
+*    "width": 221, "height": 381,
+*    "offset": 0,
+*    "scale": 3,
+*    "orientation": "vertical",
+*    "layout": "compact",
+*    "legend": false,
+*    "palette": "default",
+*    "categories": [ { "name": "Painter", "color": "rgb(102, 204, 255)", "hidden": false } ],
+*    "bars": [ { "name": "Leonardo", "startYr": 1452, "endYr": 1519, "category": "Painter",
+*                "startUncertainty": null, "endUncertainty": { "earlier": 5, "later": 5, "circa": true },
+*                "endUnknown": false, "floruit": false, "pinnedColIdx": null } ],
+*    "relationships": [ { "from": 0, "to": 1, "type": "teacher", "yr": null } ],
+*    "events": [ { "name": "Fall of Constantinople", "yr": 1453, "category": "Event" } ],
+*    "eras": [ { "name": "Renaissance", "startYr": 1400, "endYr": 1600, "category": "Era" } ],
+*    "markerCategories": [ { "name": "Era", "color": "rgb(255, 204, 102)", "hidden": false } ]
+*  }
+*
+* Years use astronomical numbering (see years.js), so 0 is 1 BC. The scale is in pixels per year.
+* The orientation is "vertical" (time runs down the chart) or "horizontal" (time runs left to right).
+* The layout is the id of the strategy that arranges bars into columns (see layoutStrategies).
+* Categories are listed in the order they appear in the legend. The palette is the id of the palette new
+* categories take their colors from (see colorPalettes).
+* A bar's uncertainties are null for exact years, or say how many years earlier and later than the year it could be
+* (see parseApproxYr). An endYr of null means the figure is still living, unless endUnknown is true. Floruit bars span
+* when the figure was active, rather than their life. A bar's pinnedColIdx is the column it is pinned to, or null.
+* A relationship's from and to are positions in the list of bars, and its type is one of relationshipTypes. Its yr is
+* null when it isn't drawn at any year in particular.
+* Events are single years. An era's endYr of null means it is still going. Events and eras have categories of their
+* own, listed in markerCategories like the figures' categories, which can share names with the figures' ones.
+*
+* Whenever the shape of the document changes, bump chartDocVersion and add an entry to
+* chartDocMigrations that upgrades a document from the previous version.
+*/
+
+(function (root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define(['exports', './colors', './image'], factory);
+  } else if (typeof exports === 'object' && typeof exports.nodeName !== 'string') {
+    factory(exports, require('./colors.js'), require('./image.js'));
+  } else {
+    root.HorizontalHistory = root.HorizontalHistory || {};
+    factory(root.HorizontalHistory, root.HorizontalHistory, root.HorizontalHistory);
+  }
+}(typeof self !== 'undefined' ? self : this, function (exports, colors, image) {
+
+const chartDocFormat = 'horizontal-history';
+const chartDocVersion = 11;
+
+/*
+* Upgrade steps for older documents, keyed by the version they upgrade *from*.
+* Each step receives a document of that version and returns a document of the next version.
+*/
+const chartDocMigrations = {
+  // Version 1 had no notion of BC, so a negative year was typed as e.g. -384 for 384 BC, and 0 had no meaning.
+  // Version 2 uses astronomical numbering, where 384 BC is -383.
+  1: function(doc) {
+    var migrateYr = function(yr) {
+      return (typeof yr === 'number' && yr <= 0) ? yr + 1 : yr;
+    };
+
+    if (Array.isArray(doc.bars)) {
+      doc.bars.forEach(function(bar) {
+        if (isPlainObject(bar)) {
+          bar.startYr = migrateYr(bar.startYr);
+          bar.endYr = migrateYr(bar.endYr);
+        }
+      });
+    }
+    doc.version = 2;
+
+    return doc;
+  },
+
+  // Version 3 added the time scale, which used to be fixed at 3 pixels per year
+  2: function(doc) {
+    doc.scale = 3;
+    doc.version = 3;
+
+    return doc;
+  },
+
+  // Version 4 added the orientation. Charts used to be vertical only.
+  3: function(doc) {
+    doc.orientation = 'vertical';
+    doc.version = 4;
+
+    return doc;
+  },
+
+  // Version 5 added the legend and hidden categories
+  4: function(doc) {
+    doc.legend = false;
+    if (Array.isArray(doc.categories)) {
+      doc.categories.forEach(function(category) {
+        if (isPlainObject(category)) {
+          category.hidden = false;
+        }
+      });
+    }
+    doc.version = 5;
+
+    return doc;
+  },
+
+  // Version 6 added the choice of palette
+  5: function(doc) {
+    doc.palette = 'default';
+    doc.version = 6;
+
+    return doc;
+  },
+
+  // Version 7 added uncertain years. Every year used to be exact, and a missing end year meant still living.
+  6: function(doc) {
+    if (Array.isArray(doc.bars)) {
+      doc.bars.forEach(function(bar) {
+        if (isPlainObject(bar)) {
+          bar.startUncertainty = null;
+          bar.endUncertainty = null;
+          bar.endUnknown = false;
+          bar.floruit = false;
+        }
+      });
+    }
+    doc.version = 7;
+
+    return doc;
+  },
+
+  // Version 8 added events and eras
+  7: function(doc) {
+    doc.events = [];
+    doc.eras = [];
+    doc.version = 8;
+
+    return doc;
+  },
+
+  // Version 9 added relationships between figures
+  8: function(doc) {
+    doc.relationships = [];
+    doc.version = 9;
+
+    return doc;
+  },
+
+  // Version 10 added the choice of layout, and pinning bars to columns
+  9: function(doc) {
+    doc.layout = 'compact';
+    if (Array.isArray(doc.bars)) {
+      doc.bars.forEach(function(bar) {
+        if (isPlainObject(bar)) {
+          bar.pinnedColIdx = null;
+        }
+      });
+    }
+    doc.version = 10;
+
+    return doc;
+  },
+
+  // Version 11 gave events and eras categories of their own. They used to share the figures' categories, so each
+  // category an event or era is in is copied over, and left out of the figures' categories unless a bar is in it too.
+  10: function(doc) {
+    var markerCategoryNames = [];
+    [doc.events, doc.eras].forEach(function(items) {
+      if (Array.isArray(items)) {
+        items.forEach(function(item) {
+          if (isPlainObject(item) && markerCategoryNames.indexOf(item.category) == -1) {
+            markerCategoryNames.push(item.category);
+          }
+        });
+      }
+    });
+
+    doc.markerCategories = [];
+    if (Array.isArray(doc.categories)) {
+      var barCategoryNames = Array.isArray(doc.bars) ? doc.bars.filter(isPlainObject).map(function(bar) {
+        return bar.category;
+      }) : [];
+
+      doc.categories = doc.categories.filter(function(category) {
+        if (!isPlainObject(category) || markerCategoryNames.indexOf(category.name) == -1) {
+          return true;
+        }
+
+        doc.markerCategories.push(Object.assign({}, category));
+        return barCategoryNames.indexOf(category.name) > -1;
+      });
+    }
+    doc.version = 11;
+
+    return doc;
+  }
+};
+
+/*
+* Creates a chart document with no figures in it.
+*
+* width:  Required. The image width.
+* height: Required. The image height.
+*
+* Returns: A chart document at chartDocVersion.
+*/
+function emptyChartDoc(width, height) {
+  return {
+    'format': chartDocFormat,
+    'version': chartDocVersion,
+    'width': width, 'height': height,
+    'offset': 0,
+    'scale': image.defaultYrHeight,
+    'orientation': 'vertical',
+    'layout': image.defaultLayout,
+    'legend': false,
+    'palette': colors.defaultPalette,
+    'categories': [],
+    'bars': [],
+    'relationships': [],
+    'events': [],
+    'eras': [],
+    'markerCategories': []
+  };
+}
+
+/*
+* Throws an error describing why a chart document was rejected.
+*
+* path:    Required. Where in the document the problem is, e.g. 'bars[3].startYr'.
+* problem: Required. What is wrong with it.
+*
+* Returns: Never.
+*/
+function rejectChartDoc(path, problem) {
+  throw new Error('Invalid chart file: ' + (path ? path + ' ' : '') + problem);
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function checkInteger(value, path) {
+  if (typeof value !== 'number' || !Number.isInteger(value)) {
+    rejectChartDoc(path, 'must be a whole number');
+  }
+}
+
+function checkBoolean(value, path) {
+  if (typeof value !== 'boolean') {
+    rejectChartDoc(path, 'must be true or false');
+  }
+}
+
+function checkString(value, path) {
+  if (typeof value !== 'string') {
+    rejectChartDoc(path, 'must be a string');
+  }
+}
+
+function checkUncertainty(value, path) {
+  if (value === null) {
+    return;
+  }
+  if (!isPlainObject(value)) {
+    rejectChartDoc(path, 'must be null or an object');
+  }
+  ['earlier', 'later'].forEach(function(key) {
+    checkInteger(value[key], path + '.' + key);
+    if (value[key] < 0) {
+      rejectChartDoc(path + '.' + key, 'must not be negative');
+    }
+  });
+  checkBoolean(value.circa, path + '.circa');
+}
+
+function checkCategoryList(value, path) {
+  if (!Array.isArray(value)) {
+    rejectChartDoc(path, 'must be a list');
+  }
+  value.forEach(function (category, idx) {
+    var categoryPath = path + '[' + idx + ']';
+    if (!isPlainObject(category)) {
+      rejectChartDoc(categoryPath, 'must be an object');
+    }
+    checkString(category.name, categoryPath + '.name');
+    checkString(category.color, categoryPath + '.color');
+    if (!/^rgb\( *[0-9]+, *[0-9]+, *[0-9]+\)$/.test(category.color)) {
+      rejectChartDoc(categoryPath + '.color', 'must look like rgb(r, g, b)');
+    }
+    checkBoolean(category.hidden, categoryPath + '.hidden');
+  });
+}
+
+/*
+* Upgrades a chart document to the current version.
+*
+* doc: Required. A chart document of any supported version.
+*
+* Returns: The document at chartDocVersion.
+*/
+function migrateChartDoc(doc) {
+  while (doc.version < chartDocVersion) {
+    var migration = chartDocMigrations[doc.version];
+    if (migration === undefined) {
+      rejectChartDoc('version', doc.version + ' is no longer supported');
+    }
+    doc = migration(doc);
+  }
+
+  return doc;
+}
+
+/*
+* Validates the contents of a chart document at the current version.
+*
+* doc: Required. The document to check.
+*
+* Side Effect: Throws an error describing the first problem found.
+*
+* Returns: Nothing.
+*/
+function validateChartDoc(doc) {
+  checkInteger(doc.width, 'width');
+  checkInteger(doc.height, 'height');
+  if (doc.width <= 0 || doc.height <= 0) {
+    rejectChartDoc('width/height', 'must be positive');
+  }
+
+  checkInteger(doc.offset, 'offset');
+
+  if (typeof doc.scale !== 'number' || !(doc.scale > 0)) {
+    rejectChartDoc('scale', 'must be a positive number');
+  }
+
+  if (doc.orientation !== 'vertical' && doc.orientation !== 'horizontal') {
+    rejectChartDoc('orientation', 'must be "vertical" or "horizontal"');
+  }
+
+  checkString(doc.layout, 'layout');
+  if (!image.layoutStrategies.hasOwnProperty(doc.layout)) {
+    rejectChartDoc('layout', '"' + doc.layout + '" is not a known layout');
+  }
+
+  checkBoolean(doc.legend, 'legend');
+
+  checkString(doc.palette, 'palette');
+  if (!colors.colorPalettes.hasOwnProperty(doc.palette)) {
+    rejectChartDoc('palette', '"' + doc.palette + '" is not a known palette');
+  }
+
+  checkCategoryList(doc.categories, 'categories');
+
+  if (!Array.isArray(doc.bars)) {
+    rejectChartDoc('bars', 'must be a list');
+  }
+  doc.bars.forEach(function (bar, idx) {
+    var path = 'bars[' + idx + ']';
+    if (!isPlainObject(bar)) {
+      rejectChartDoc(path, 'must be an object');
+    }
+    checkString(bar.name, path + '.name');
+    checkString(bar.category, path + '.category');
+    checkInteger(bar.startYr, path + '.startYr');
+    if (bar.endYr !== null) {
+      checkInteger(bar.endYr, path + '.endYr');
+      if (bar.endYr < bar.startYr) {
+        rejectChartDoc(path + '.endYr', 'is before startYr');
+      }
+    }
+    checkUncertainty(bar.startUncertainty, path + '.startUncertainty');
+    checkUncertainty(bar.endUncertainty, path + '.endUncertainty');
+    checkBoolean(bar.endUnknown, path + '.endUnknown');
+    checkBoolean(bar.floruit, path + '.floruit');
+    if (bar.pinnedColIdx !== null) {
+      checkInteger(bar.pinnedColIdx, path + '.pinnedColIdx');
+      if (bar.pinnedColIdx < 0) {
+        rejectChartDoc(path + '.pinnedColIdx', 'must not be negative');
+      }
+    }
+  });
+
+  if (!Array.isArray(doc.relationships)) {
+    rejectChartDoc('relationships', 'must be a list');
+  }
+  doc.relationships.forEach(function (relationship, idx) {
+    var path = 'relationships[' + idx + ']';
+    if (!isPlainObject(relationship)) {
+      rejectChartDoc(path, 'must be an object');
+    }
+    ['from', 'to'].forEach(function(key) {
+      checkInteger(relationship[key], path + '.' + key);
+      if (relationship[key] < 0 || relationship[key] >= doc.bars.length) {
+        rejectChartDoc(path + '.' + key, 'is not the position of a bar');
+      }
+    });
+    if (relationship.from == relationship.to) {
+      rejectChartDoc(path, 'relates a bar to itself');
+    }
+    checkString(relationship.type, path + '.type');
+    if (!image.relationshipTypes.hasOwnProperty(relationship.type)) {
+      rejectChartDoc(path + '.type', '"' + relationship.type + '" is not a known relationship');
+    }
+    if (relationship.yr !== null) {
+      checkInteger(relationship.yr, path + '.yr');
+    }
+  });
+
+  if (!Array.isArray(doc.events)) {
+    rejectChartDoc('events', 'must be a list');
+  }
+  doc.events.forEach(function (event, idx) {
+    var path = 'events[' + idx + ']';
+    if (!isPlainObject(event)) {
+      rejectChartDoc(path, 'must be an object');
+    }
+    checkString(event.name, path + '.name');
+    checkString(event.category, path + '.category');
+    checkInteger(event.yr, path + '.yr');
+  });
+
+  if (!Array.isArray(doc.eras)) {
+    rejectChartDoc('eras', 'must be a list');
+  }
+  doc.eras.forEach(function (era, idx) {
+    var path = 'eras[' + idx + ']';
+    if (!isPlainObject(era)) {
+      rejectChartDoc(path, 'must be an object');
+    }
+    checkString(era.name, path + '.name');
+    checkString(era.category, path + '.category');
+    checkInteger(era.startYr, path + '.startYr');
+    if (era.endYr !== null) {
+      checkInteger(era.endYr, path + '.endYr');
+      if (era.endYr < era.startYr) {
+        rejectChartDoc(path + '.endYr', 'is before startYr');
+      }
+    }
+  });
+
+  checkCategoryList(doc.markerCategories, 'markerCategories');
+}
+
+/*
+* Checks that a value is a chart document this version of the application can load.
+* Older versions are migrated; malformed documents are rejected.
+*
+* doc: Required. The parsed JSON value.
+*
+* Returns: The document, upgraded to chartDocVersion.
+*/
+function checkChartDoc(doc) {
+  if (!isPlainObject(doc)) {
+    rejectChartDoc('', 'is not a JSON object');
+  }
+  if (doc.format !== chartDocFormat) {
+    rejectChartDoc('', 'is not a horizontal history chart');
+  }
+  checkInteger(doc.version, 'version');
+  if (doc.version > chartDocVersion) {
+    rejectChartDoc('version', doc.version + ' is newer than this application supports (' + chartDocVersion + ')');
+  }
+
+  doc = migrateChartDoc(doc);
+  validateChartDoc(doc);
+
+  return doc;
+}
+
+/*
+* Parses the text of a chart file.
+*
+* text: Required. The file contents.
+*
+* Returns: A chart document at chartDocVersion.
+*/
+function parseChartDoc(text) {
+  var doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (e) {
+    rejectChartDoc('', 'is not valid JSON (' + e.message + ')');
+  }
+
+  return checkChartDoc(doc);
+}
+
+/*
+* Serializes a chart document to the text of a chart file.
+*
+* doc: Required. A chart document, as returned by HistoryImage.toDoc.
+*
+* Returns: The file contents.
+*/
+function stringifyChartDoc(doc) {
+  return JSON.stringify(doc, null, 2);
+}
+
+// Exports
+exports.chartDocFormat = chartDocFormat;
+exports.chartDocVersion = chartDocVersion;
+exports.emptyChartDoc = emptyChartDoc;
+exports.checkChartDoc = checkChartDoc;
+exports.parseChartDoc = parseChartDoc;
+exports.stringifyChartDoc = stringifyChartDoc;
+exports.isPlainObject = isPlainObject;
+}));
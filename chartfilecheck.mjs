@@ -0,0 +1,103 @@
+/*
+* Checks reading and writing chart documents (see chartfile.js): run with `node chartfilecheck.mjs`.
+* It upgrades a document from the first version to the current one, round-trips a document that uses everything a
+* chart can hold, and checks that malformed documents are rejected.
+*/
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const chartfile = require('./chartfile.js');
+
+// A version 1 document, from before BC years were numbered astronomically
+const v1Doc = {
+  'format': 'horizontal-history',
+  'version': 1,
+  'width': 221, 'height': 381,
+  'offset': 0,
+  'categories': [
+    {'name': 'Philosopher', 'color': 'rgb(102, 204, 255)'},
+    {'name': 'Battle', 'color': 'rgb(255, 204, 102)'}
+  ],
+  'bars': [
+    {'name': 'Aristotle', 'startYr': -384, 'endYr': -322, 'category': 'Philosopher'},
+    {'name': 'Kant', 'startYr': 1724, 'endYr': 1804, 'category': 'Philosopher'}
+  ]
+};
+
+// Each version's migration in turn
+const migrated = chartfile.checkChartDoc(structuredClone(v1Doc));
+assert.deepEqual(migrated, {
+  'format': 'horizontal-history',
+  'version': chartfile.chartDocVersion,
+  'width': 221, 'height': 381,
+  'offset': 0,
+  'scale': 3,
+  'orientation': 'vertical',
+  'layout': 'compact',
+  'legend': false,
+  'palette': 'default',
+  'categories': [
+    {'name': 'Philosopher', 'color': 'rgb(102, 204, 255)', 'hidden': false},
+    {'name': 'Battle', 'color': 'rgb(255, 204, 102)', 'hidden': false}
+  ],
+  'bars': [
+    {'name': 'Aristotle', 'startYr': -383, 'endYr': -321, 'category': 'Philosopher', 'startUncertainty': null,
+     'endUncertainty': null, 'endUnknown': false, 'floruit': false, 'pinnedColIdx': null},
+    {'name': 'Kant', 'startYr': 1724, 'endYr': 1804, 'category': 'Philosopher', 'startUncertainty': null,
+     'endUncertainty': null, 'endUnknown': false, 'floruit': false, 'pinnedColIdx': null}
+  ],
+  'relationships': [],
+  'events': [],
+  'eras': [],
+  'markerCategories': []
+});
+
+// Version 11 moves the categories of events and eras out of the figures' categories
+const v10Doc = Object.assign(structuredClone(migrated), {'version': 10});
+delete v10Doc.markerCategories;
+v10Doc.events = [{'name': 'Marathon', 'yr': -489, 'category': 'Battle'}];
+const v11Doc = chartfile.checkChartDoc(v10Doc);
+assert.deepEqual(v11Doc.categories.map(category => category.name), ['Philosopher']);
+assert.deepEqual(v11Doc.markerCategories, [{'name': 'Battle', 'color': 'rgb(255, 204, 102)', 'hidden': false}]);
+
+// A document at the current version comes back the same, whatever its categories are called
+const doc = chartfile.emptyChartDoc(400, 600);
+doc.categories = ['constructor', '__proto__', 'a b', 'a_b'].map((name, idx) => {
+  return {'name': name, 'color': 'rgb(' + idx + ', 0, 0)', 'hidden': idx == 1};
+});
+doc.bars = [
+  {'name': 'Socrates', 'startYr': -469, 'endYr': -398, 'category': 'constructor',
+   'startUncertainty': {'earlier': 1, 'later': 0, 'circa': true}, 'endUncertainty': null, 'endUnknown': false,
+   'floruit': false, 'pinnedColIdx': 2},
+  {'name': 'Someone', 'startYr': 1950, 'endYr': null, 'category': '__proto__', 'startUncertainty': null,
+   'endUncertainty': null, 'endUnknown': true, 'floruit': true, 'pinnedColIdx': null}
+];
+doc.relationships = [{'from': 0, 'to': 1, 'type': 'teacher', 'yr': null}];
+doc.events = [{'name': 'Marathon', 'yr': -489, 'category': 'toString'}];
+doc.eras = [{'name': 'Classical', 'startYr': -479, 'endYr': -322, 'category': 'Era'}];
+doc.markerCategories = [
+  {'name': 'toString', 'color': 'rgb(1, 2, 3)', 'hidden': false},
+  {'name': 'Era', 'color': 'rgb(4, 5, 6)', 'hidden': true}
+];
+const text = chartfile.stringifyChartDoc(doc);
+assert.deepEqual(chartfile.parseChartDoc(text), JSON.parse(text));
+assert.deepEqual(JSON.parse(text), doc);
+
+// Malformed documents
+const rejects = function(change, message) {
+  const badDoc = structuredClone(doc);
+  change(badDoc);
+  assert.throws(() => chartfile.parseChartDoc(chartfile.stringifyChartDoc(badDoc)), {'message': message});
+};
+assert.throws(() => chartfile.parseChartDoc('{'), /is not valid JSON/);
+rejects(badDoc => { badDoc.format = 'other'; }, 'Invalid chart file: is not a horizontal history chart');
+rejects(badDoc => { badDoc.version = chartfile.chartDocVersion + 1; }, /is newer than this application supports/);
+rejects(badDoc => { badDoc.version = 0; }, 'Invalid chart file: version 0 is no longer supported');
+rejects(badDoc => { badDoc.layout = 'constructor'; }, 'Invalid chart file: layout "constructor" is not a known layout');
+rejects(badDoc => { badDoc.palette = 'toString'; }, 'Invalid chart file: palette "toString" is not a known palette');
+rejects(badDoc => { badDoc.bars[0].endYr = -500; }, 'Invalid chart file: bars[0].endYr is before startYr');
+rejects(badDoc => { badDoc.relationships[0].to = 2; }, 'Invalid chart file: relationships[0].to is not the position of a bar');
+rejects(badDoc => { badDoc.categories[0].color = 'red'; }, 'Invalid chart file: categories[0].color must look like rgb(r, g, b)');
+
+console.log('ok');
@@ -0,0 +1,364 @@
+/*
+* Parsing, formatting and choosing colors.
+*
+* Colors can be written any way CSS allows: hex ("#6cf", "#66ccff"), rgb(a) ("rgb(102, 204, 255)"), hsl(a)
+* ("hsl(200, 100%, 70%)") or by name ("skyblue"). Charts store category colors in a single canonical form,
+* rgb(r, g, b), produced by normalizeColor.
+*/
+
+(function (root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define(['exports'], factory);
+  } else if (typeof exports === 'object' && typeof exports.nodeName !== 'string') {
+    factory(exports);
+  } else {
+    root.HorizontalHistory = root.HorizontalHistory || {};
+    factory(root.HorizontalHistory);
+  }
+}(typeof self !== 'undefined' ? self : this, function (exports) {
+
+// The CSS named colors, as hex
+const namedColors = {
+  'aliceblue': '#f0f8ff', 'antiquewhite': '#faebd7', 'aqua': '#00ffff', 'aquamarine': '#7fffd4',
+  'azure': '#f0ffff', 'beige': '#f5f5dc', 'bisque': '#ffe4c4', 'black': '#000000',
+  'blanchedalmond': '#ffebcd', 'blue': '#0000ff', 'blueviolet': '#8a2be2', 'brown': '#a52a2a',
+  'burlywood': '#deb887', 'cadetblue': '#5f9ea0', 'chartreuse': '#7fff00', 'chocolate': '#d2691e',
+  'coral': '#ff7f50', 'cornflowerblue': '#6495ed', 'cornsilk': '#fff8dc', 'crimson': '#dc143c',
+  'cyan': '#00ffff', 'darkblue': '#00008b', 'darkcyan': '#008b8b', 'darkgoldenrod': '#b8860b',
+  'darkgray': '#a9a9a9', 'darkgreen': '#006400', 'darkgrey': '#a9a9a9', 'darkkhaki': '#bdb76b',
+  'darkmagenta': '#8b008b', 'darkolivegreen': '#556b2f', 'darkorange': '#ff8c00', 'darkorchid': '#9932cc',
+  'darkred': '#8b0000', 'darksalmon': '#e9967a', 'darkseagreen': '#8fbc8f', 'darkslateblue': '#483d8b',
+  'darkslategray': '#2f4f4f', 'darkslategrey': '#2f4f4f', 'darkturquoise': '#00ced1', 'darkviolet': '#9400d3',
+  'deeppink': '#ff1493', 'deepskyblue': '#00bfff', 'dimgray': '#696969', 'dimgrey': '#696969',
+  'dodgerblue': '#1e90ff', 'firebrick': '#b22222', 'floralwhite': '#fffaf0', 'forestgreen': '#228b22',
+  'fuchsia': '#ff00ff', 'gainsboro': '#dcdcdc', 'ghostwhite': '#f8f8ff', 'gold': '#ffd700',
+  'goldenrod': '#daa520', 'gray': '#808080', 'green': '#008000', 'greenyellow': '#adff2f',
+  'grey': '#808080', 'honeydew': '#f0fff0', 'hotpink': '#ff69b4', 'indianred': '#cd5c5c',
+  'indigo': '#4b0082', 'ivory': '#fffff0', 'khaki': '#f0e68c', 'lavender': '#e6e6fa',
+  'lavenderblush': '#fff0f5', 'lawngreen': '#7cfc00', 'lemonchiffon': '#fffacd', 'lightblue': '#add8e6',
+  'lightcoral': '#f08080', 'lightcyan': '#e0ffff', 'lightgoldenrodyellow': '#fafad2', 'lightgray': '#d3d3d3',
+  'lightgreen': '#90ee90', 'lightgrey': '#d3d3d3', 'lightpink': '#ffb6c1', 'lightsalmon': '#ffa07a',
+  'lightseagreen': '#20b2aa', 'lightskyblue': '#87cefa', 'lightslategray': '#778899', 'lightslategrey': '#778899',
+  'lightsteelblue': '#b0c4de', 'lightyellow': '#ffffe0', 'lime': '#00ff00', 'limegreen': '#32cd32',
+  'linen': '#faf0e6', 'magenta': '#ff00ff', 'maroon': '#800000', 'mediumaquamarine': '#66cdaa',
+  'mediumblue': '#0000cd', 'mediumorchid': '#ba55d3', 'mediumpurple': '#9370db', 'mediumseagreen': '#3cb371',
+  'mediumslateblue': '#7b68ee', 'mediumspringgreen': '#00fa9a', 'mediumturquoise': '#48d1cc', 'mediumvioletred': '#c71585',
+  'midnightblue': '#191970', 'mintcream': '#f5fffa', 'mistyrose': '#ffe4e1', 'moccasin': '#ffe4b5',
+  'navajowhite': '#ffdead', 'navy': '#000080', 'oldlace': '#fdf5e6', 'olive': '#808000',
+  'olivedrab': '#6b8e23', 'orange': '#ffa500', 'orangered': '#ff4500', 'orchid': '#da70d6',
+  'palegoldenrod': '#eee8aa', 'palegreen': '#98fb98', 'paleturquoise': '#afeeee', 'palevioletred': '#db7093',
+  'papayawhip': '#ffefd5', 'peachpuff': '#ffdab9', 'peru': '#cd853f', 'pink': '#ffc0cb',
+  'plum': '#dda0dd', 'powderblue': '#b0e0e6', 'purple': '#800080', 'rebeccapurple': '#663399',
+  'red': '#ff0000', 'rosybrown': '#bc8f8f', 'royalblue': '#4169e1', 'saddlebrown': '#8b4513',
+  'salmon': '#fa8072', 'sandybrown': '#f4a460', 'seagreen': '#2e8b57', 'seashell': '#fff5ee',
+  'sienna': '#a0522d', 'silver': '#c0c0c0', 'skyblue': '#87ceeb', 'slateblue': '#6a5acd',
+  'slategray': '#708090', 'slategrey': '#708090', 'snow': '#fffafa', 'springgreen': '#00ff7f',
+  'steelblue': '#4682b4', 'tan': '#d2b48c', 'teal': '#008080', 'thistle': '#d8bfd8',
+  'tomato': '#ff6347', 'turquoise': '#40e0d0', 'violet': '#ee82ee', 'wheat': '#f5deb3',
+  'white': '#ffffff', 'whitesmoke': '#f5f5f5', 'yellow': '#ffff00', 'yellowgreen': '#9acd32',
+  'transparent': '#00000000'
+};
+
+/*
+* The palettes category colors are assigned from, keyed by id.
+* Each has a display name and its colors, in the order they are assigned. Once a palette's colors are all in use,
+* further colors are generated (see generateColor).
+*/
+const colorPalettes = {
+  'default': {
+    'name': "Default",
+    'colors': [
+      "rgb(102, 204, 255)",
+      "rgb(0, 153, 153)",
+      "rgb(0, 0, 153)",
+      "rgb(153, 153, 255)",
+      "rgb(0, 204, 0)",
+      "rgb(102, 255, 204)",
+      "rgb(0, 153, 0)",
+      "rgb(153, 0, 204)",
+      "rgb(255, 0, 255)",
+      "rgb(255, 0, 0)",
+      "rgb(255, 153, 33)",
+      "rgb(255, 255, 0)",
+      "rgb(153, 102, 0)"
+    ]
+  },
+
+  // Okabe & Ito's palette, which stays distinguishable with the common forms of color blindness
+  'colorblind': {
+    'name': "Colorblind safe",
+    'colors': [
+      "rgb(86, 180, 233)",
+      "rgb(230, 159, 0)",
+      "rgb(0, 158, 115)",
+      "rgb(240, 228, 66)",
+      "rgb(0, 114, 178)",
+      "rgb(213, 94, 0)",
+      "rgb(204, 121, 167)",
+      "rgb(0, 0, 0)"
+    ]
+  }
+};
+
+const defaultPalette = 'default';
+
+/*
+* Parses a number that may be a percentage.
+*
+* text:  Required. The number, e.g. "128" or "50%".
+* scale: Required. What 100% is worth.
+*
+* Returns: The number, or NaN if the text isn't one.
+*/
+function parseColorComponent(text, scale) {
+  if (!/^[+-]?([0-9]+\.?[0-9]*|\.[0-9]+)(e[+-]?[0-9]+)?%?$/.test(text)) {
+    return NaN;
+  }
+
+  var value = parseFloat(text);
+  return (text.charAt(text.length - 1) == '%') ? value * scale / 100 : value;
+}
+
+/*
+* Parses a hue, in degrees unless it has a unit ("deg", "grad", "rad" or "turn").
+*
+* text: Required. The hue, e.g. "200" or "0.5turn".
+*
+* Returns: The hue in degrees, from 0 up to 360, or NaN if the text isn't a hue.
+*/
+function parseHue(text) {
+  var parts = /^(.*?)(deg|grad|rad|turn)?$/.exec(text);
+  var degreesPer = {'deg': 1, 'grad': 0.9, 'rad': 180 / Math.PI, 'turn': 360};
+  if (parts[1].charAt(parts[1].length - 1) == '%') {
+    return NaN;
+  }
+
+  var value = parseColorComponent(parts[1], 1) * ((parts[2] === undefined) ? 1 : degreesPer[parts[2]]);
+
+  return ((value % 360) + 360) % 360;
+}
+
+/*
+* Converts a color from hue, saturation and lightness to red, green and blue.
+*
+* hue:        Required. In degrees.
+* saturation: Required. From 0 to 1.
+* lightness:  Required. From 0 to 1.
+*
+* Returns: An array of the red, green and blue components, from 0 to 255 (not rounded).
+*/
+function hslToRgb(hue, saturation, lightness) {
+  var chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+
+  var component = function(n) {
+    var k = (n + hue / 30) % 12;
+    return 255 * (lightness - chroma / 2 * Math.max(-1, Math.min(k - 3, 9 - k, 1)));
+  };
+
+  return [component(0), component(8), component(4)];
+}
+
+/*
+* Parses a color written any way CSS allows.
+*
+* color: Required. The color, e.g. "#66ccff", "rgb(102, 204, 255)", "hsl(200, 100%, 70%)" or "skyblue".
+*
+* Side Effect: Throws an error if the text isn't a color.
+*
+* Returns: An object with the color's red, green and blue components (0 to 255) and alpha (0 to 1).
+*/
+function parseColor(color) {
+  var text = String(color).trim().toLowerCase();
+  if (namedColors.hasOwnProperty(text)) {
+    text = namedColors[text];
+  }
+
+  var components = null;
+  var alpha = 1;
+
+  var hexGroups = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(text);
+  var funcGroups = /^(rgba?|hsla?)\((.*)\)$/.exec(text);
+  if (hexGroups !== null) {
+    var digits = hexGroups[1];
+    if (digits.length <= 4) {
+      digits = digits.split('').map(function(digit) { return digit + digit; }).join('');
+    }
+
+    var values = digits.match(/../g).map(function(pair) { return parseInt(pair, 16); });
+    components = values.slice(0, 3);
+    if (values.length == 4) {
+      alpha = values[3] / 255;
+    }
+  } else if (funcGroups !== null) {
+    // Both the legacy "rgb(1, 2, 3, 0.5)" and the modern "rgb(1 2 3 / 50%)" forms
+    var args = funcGroups[2].trim().split(/\s*,\s*|\s*\/\s*|\s+/);
+    if (args.length == 4) {
+      alpha = parseColorComponent(args.pop(), 1);
+    }
+
+    if (args.length == 3) {
+      if (funcGroups[1].charAt(0) == 'r') {
+        components = args.map(function(arg) { return parseColorComponent(arg, 255); });
+      } else {
+        var isPercent = function(arg) { return arg.charAt(arg.length - 1) == '%'; };
+        if (isPercent(args[1]) && isPercent(args[2])) {
+          components = hslToRgb(parseHue(args[0]), parseColorComponent(args[1], 1), parseColorComponent(args[2], 1));
+        }
+      }
+    }
+  }
+
+  if (components === null || components.concat(alpha).some(isNaN)) {
+    throw new Error('"' + color + '" is not a color.');
+  }
+
+  var clamp = function(value, max) {
+    return Math.min(max, Math.max(0, value));
+  };
+  var red = Math.round(clamp(components[0], 255));
+  var green = Math.round(clamp(components[1], 255));
+  var blue = Math.round(clamp(components[2], 255));
+  alpha = clamp(alpha, 1);
+
+  return {
+    'red': red, 'r': red,
+    'green': green, 'g': green,
+    'blue': blue, 'b': blue,
+    'alpha': alpha, 'a': alpha
+  };
+}
+
+/*
+* Converts a color to the form charts store category colors in.
+* Translucent colors are blended onto the white background of the chart.
+*
+* color: Required. The color, written any way parseColor accepts.
+*
+* Returns: The color, formatted as rgb(r, g, b).
+*/
+function normalizeColor(color) {
+  var colorDetail = parseColor(color);
+  var blend = function(component) {
+    return Math.round(component * colorDetail.alpha + 255 * (1 - colorDetail.alpha));
+  };
+
+  return "rgb(" + blend(colorDetail.r) + ", " + blend(colorDetail.g) + ", " + blend(colorDetail.b) + ")";
+}
+
+/*
+* Converts a color to the form color inputs use.
+*
+* color: Required. The color, written any way parseColor accepts.
+*
+* Returns: The color, formatted as #rrggbb.
+*/
+function formatHexColor(color) {
+  var colorDetail = parseColor(normalizeColor(color));
+
+  return "#" + [colorDetail.r, colorDetail.g, colorDetail.b].map(function(component) {
+    return (component < 16 ? "0" : "") + component.toString(16);
+  }).join("");
+}
+
+/*
+* Calculates the relative luminance of a color, as defined by WCAG 2.
+*
+* color: Required. The color, written any way parseColor accepts.
+*
+* Returns: The luminance, from 0 (black) to 1 (white).
+*/
+function getRelativeLuminance(color) {
+  var colorDetail = parseColor(normalizeColor(color));
+  var linearize = function(component) {
+    var value = component / 255;
+    return (value <= 0.03928) ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+  };
+
+  return 0.2126 * linearize(colorDetail.r) + 0.7152 * linearize(colorDetail.g) + 0.0722 * linearize(colorDetail.b);
+}
+
+/*
+* Calculates the WCAG 2 contrast ratio between two colors.
+*
+* color1: Required. A color, written any way parseColor accepts.
+* color2: Required. Another color.
+*
+* Returns: The ratio, from 1 (no contrast) to 21 (black on white).
+*/
+function getContrastRatio(color1, color2) {
+  var luminance1 = getRelativeLuminance(color1);
+  var luminance2 = getRelativeLuminance(color2);
+
+  return (Math.max(luminance1, luminance2) + 0.05) / (Math.min(luminance1, luminance2) + 0.05);
+}
+
+/*
+* Chooses the text color that is easiest to read on a background.
+*
+* bgColor: Required. The background color, written any way parseColor accepts.
+*
+* Returns: "rgb(0, 0, 0)" or "rgb(255, 255, 255)", whichever contrasts more with the background.
+*/
+function getTextColor(bgColor) {
+  var black = "rgb(0, 0, 0)";
+  var white = "rgb(255, 255, 255)";
+
+  return (getContrastRatio(bgColor, black) >= getContrastRatio(bgColor, white)) ? black : white;
+}
+
+/*
+* Generates a color beyond the end of a palette.
+* Hues step around the color wheel by the golden angle, so consecutive colors are far apart and never repeat exactly,
+* and each trip around the wheel uses a different lightness.
+*
+* idx: Required. Which generated color to make, starting from 0.
+*
+* Returns: The color, formatted as rgb(r, g, b).
+*/
+function generateColor(idx) {
+  var lightnesses = [0.5, 0.7, 0.35, 0.6, 0.42];
+
+  var hue = (idx * 137.508) % 360;
+  var lightness = lightnesses[Math.floor(idx * 137.508 / 360) % lightnesses.length];
+  var components = hslToRgb(hue, 0.75, lightness).map(Math.round);
+
+  return "rgb(" + components.join(", ") + ")";
+}
+
+/*
+* Chooses a color for a new category.
+*
+* palette:    Required. The id of the palette to choose from (see colorPalettes).
+* usedColors: Required. The colors other categories already have, formatted as rgb(r, g, b).
+*
+* Returns: The first of the palette's colors not in use or, once they are all taken, the first generated color
+*          not in use. Formatted as rgb(r, g, b).
+*/
+function pickColor(palette, usedColors) {
+  var availableColors = colorPalettes[palette].colors.filter(function(color) {
+    return usedColors.indexOf(color) == -1;
+  });
+  if (availableColors.length > 0) {
+    return availableColors[0];
+  }
+
+  for (var idx = 0; ; idx++) {
+    var color = generateColor(idx);
+    if (usedColors.indexOf(color) == -1) {
+      return color;
+    }
+  }
+}
+
+// Exports
+exports.colorPalettes = colorPalettes;
+exports.defaultPalette = defaultPalette;
+exports.parseColor = parseColor;
+exports.normalizeColor = normalizeColor;
+exports.formatHexColor = formatHexColor;
+exports.getRelativeLuminance = getRelativeLuminance;
+exports.getContrastRatio = getContrastRatio;
+exports.getTextColor = getTextColor;
+exports.generateColor = generateColor;
+exports.pickColor = pickColor;
+}));
@@ -0,0 +1,27 @@
+/*
+* Checks that the styles exported svg files embed (imageCssRules in image.js) match image.css, which styles the charts
+* on the page: run with `node csscheck.mjs`.
+*/
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { imageCssRules } = require('./image.js');
+
+// Reads the rules of a style sheet as declarations keyed by selector, written the way imageCssRules writes them
+const readCss = function(text) {
+  const rules = {};
+  for (const [, selector, declarations] of text.replace(/\/\*[\s\S]*?\*\//g, '').matchAll(/([^{}]+)\{([^{}]*)\}/g)) {
+    assert.ok(!(selector.trim() in rules), selector.trim() + ' should only have one rule');
+    rules[selector.trim()] = declarations.split(';').map(declaration => declaration.trim()).filter(declaration => {
+      return declaration !== '';
+    }).map(declaration => declaration + ';').join(' ');
+  }
+
+  return rules;
+};
+
+assert.deepEqual(readCss(readFileSync(new URL('./image.css', import.meta.url), 'utf8')), imageCssRules);
+
+console.log('ok');
@@ -0,0 +1,649 @@
+/*
+* Undo/redo support for chart edits.
+*
+* Every change to a chart is made by performing a command through an EditHistory.
+* A command is an object with:
+*   label: A short description of the change, e.g. 'Add "Plato"', for undo/redo buttons.
+*   run:   A function that makes (or re-makes) the change.
+*   undo:  A function that reverses the change.
+*/
+
+(function (root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define(['exports', './colors', './image'], factory);
+  } else if (typeof exports === 'object' && typeof exports.nodeName !== 'string') {
+    factory(exports, require('./colors.js'), require('./image.js'));
+  } else {
+    root.HorizontalHistory = root.HorizontalHistory || {};
+    factory(root.HorizontalHistory, root.HorizontalHistory, root.HorizontalHistory);
+  }
+}(typeof self !== 'undefined' ? self : this, function (exports, colors, imageModule) {
+
+/*
+* Creates a command that adds a bar to an image.
+*
+* image:    Required. The image.
+* name:     Required. The historical figure's name.
+* startYr:  Required. The year the historical figure was born.
+* endYr:    Required. The year the historical figure died. Use null to represent still alive.
+* category: Required. Category.
+* dates:    Optional. How certain the years are, as for parseYrSpan. Defaults to exact years.
+*
+* Returns: The command. Once run, its 'bar' property is the bar that was added.
+*/
+function addBarCommand(image, name, startYr, endYr, category, dates) {
+  var command = {
+    'label': 'Add "' + name + '"',
+    'bar': null,
+    'run': function() {
+      if (command.bar === null) {
+        command.bar = image.addBar(image.newBarId(), name, startYr, endYr, category, dates);
+      } else {
+        image.insertBar(command.bar);
+      }
+    },
+    'undo': function() {
+      image.removeBar(command.bar);
+    }
+  };
+
+  return command;
+}
+
+/*
+* Creates a command that changes a bar's details.
+*
+* bar:      Required. The bar to change.
+* name:     Required. The historical figure's new name.
+* startYr:  Required. The new start year.
+* endYr:    Required. The new end year. Use null to represent still alive.
+* category: Required. The new category.
+* dates:    Optional. How certain the new years are, as for parseYrSpan. Defaults to keeping the bar's current ones.
+*
+* Returns: The command.
+*/
+function updateBarCommand(bar, name, startYr, endYr, category, dates) {
+  var oldName = bar.name;
+  var oldStartYr = bar.startYr;
+  var oldEndYr = bar.endYr;
+  var oldCategory = bar.category;
+  var oldDates = bar.getDates();
+
+  return {
+    'label': 'Edit "' + oldName + '"',
+    'run': function() {
+      bar.update(name, startYr, endYr, category, dates);
+    },
+    'undo': function() {
+      bar.update(oldName, oldStartYr, oldEndYr, oldCategory, oldDates);
+    }
+  };
+}
+
+/*
+* Creates a command that deletes a bar from its image.
+*
+* bar: Required. The bar to delete.
+*
+* Returns: The command.
+*/
+function removeBarCommand(bar) {
+  return {
+    'label': 'Delete "' + bar.name + '"',
+    'run': function() {
+      bar.image.removeBar(bar);
+    },
+    'undo': function() {
+      bar.image.insertBar(bar);
+    }
+  };
+}
+
+/*
+* Creates a command that pins a bar to a column, or unpins it.
+*
+* bar:    Required. The bar.
+* colIdx: Required. The column to pin it to, as for HistoryImage.pinBar. Use null to unpin it.
+*
+* Returns: The command.
+*/
+function pinBarCommand(bar, colIdx) {
+  var oldColIdx = bar.pinnedColIdx;
+
+  return {
+    'label': ((colIdx === null) ? 'Unpin "' : 'Pin "') + bar.name + '"',
+    'run': function() {
+      bar.image.pinBar(bar, colIdx);
+    },
+    'undo': function() {
+      bar.image.pinBar(bar, oldColIdx);
+    }
+  };
+}
+
+/*
+* Creates a command that changes the background color of a category.
+*
+* image:    Required. The image.
+* category: Required. The category name.
+* bgColor:  Required. The new background color.
+*
+* Returns: The command.
+*/
+function setCategoryColorCommand(image, category, bgColor) {
+  var oldBgColor = image.categoryColors[category];
+
+  return {
+    'label': 'Recolor "' + category + '"',
+    'run': function() {
+      image.setCategoryColor(category, bgColor);
+    },
+    'undo': function() {
+      image.setCategoryColor(category, oldBgColor);
+    }
+  };
+}
+
+/*
+* Creates a command that renames a category.
+*
+* image:   Required. The image.
+* oldName: Required. The category's name.
+* newName: Required. The category's new name.
+*
+* Returns: The command.
+*/
+function renameCategoryCommand(image, oldName, newName) {
+  return {
+    'label': 'Rename "' + oldName + '"',
+    'run': function() {
+      image.renameCategory(oldName, newName);
+    },
+    'undo': function() {
+      image.renameCategory(newName, oldName);
+    }
+  };
+}
+
+/*
+* Creates a command that moves a category to a different place in the category order.
+*
+* image:    Required. The image.
+* category: Required. The category name.
+* idx:      Required. Its new index in the order.
+*
+* Returns: The command.
+*/
+function moveCategoryCommand(image, category, idx) {
+  var oldIdx = image.categoryOrder.indexOf(category);
+
+  return {
+    'label': 'Move "' + category + '"',
+    'run': function() {
+      image.moveCategory(category, idx);
+    },
+    'undo': function() {
+      image.moveCategory(category, oldIdx);
+    }
+  };
+}
+
+/*
+* Creates a command that hides or shows the bars of a category.
+*
+* image:    Required. The image.
+* category: Required. The category name.
+* hidden:   Required. True to hide the category's bars, false to show them.
+*
+* Returns: The command.
+*/
+function setCategoryHiddenCommand(image, category, hidden) {
+  return {
+    'label': (hidden ? 'Hide "' : 'Show "') + category + '"',
+    'run': function() {
+      image.setCategoryHidden(category, hidden);
+    },
+    'undo': function() {
+      image.setCategoryHidden(category, !hidden);
+    }
+  };
+}
+
+/*
+* Creates a command that removes a category no bars are in.
+*
+* image:    Required. The image.
+* category: Required. The category name.
+*
+* Returns: The command.
+*/
+function removeCategoryCommand(image, category) {
+  var bgColor = image.categoryColors[category];
+  var idx = image.categoryOrder.indexOf(category);
+  var hidden = image.isCategoryHidden(category);
+
+  return {
+    'label': 'Remove "' + category + '"',
+    'run': function() {
+      image.removeCategory(category);
+    },
+    'undo': function() {
+      image.setCategoryColor(category, bgColor);
+      image.moveCategory(category, idx);
+      if (hidden) {
+        image.setCategoryHidden(category, true);
+      }
+    }
+  };
+}
+
+/*
+* Creates a command that switches to a different palette, recoloring every category.
+*
+* image:   Required. The image.
+* palette: Required. The palette id (see colorPalettes).
+*
+* Returns: The command.
+*/
+function setPaletteCommand(image, palette) {
+  var oldPalette = image.palette;
+  var oldColors = Object.assign({}, image.categoryColors);
+  var oldMarkerColors = Object.assign({}, image.markerCategoryColors);
+
+  return {
+    'label': 'Use the "' + colors.colorPalettes[palette].name + '" palette',
+    'run': function() {
+      image.setPalette(palette);
+    },
+    'undo': function() {
+      image.setPalette(oldPalette, oldColors, oldMarkerColors);
+    }
+  };
+}
+
+/*
+* Creates a command that adds a relationship between two figures.
+*
+* image: Required. The image.
+* from:  Required. The bar the relationship is from, e.g. the teacher.
+* to:    Required. The bar the relationship is to, e.g. the student.
+* type:  Required. The kind of relationship (see relationshipTypes).
+* yr:    Optional. The year the relationship is drawn at. Defaults to null, for no year in particular.
+*
+* Returns: The command. Once run, its 'relationship' property is the relationship that was added.
+*/
+function addRelationshipCommand(image, from, to, type, yr) {
+  var command = {
+    'label': 'Relate "' + from.name + '" to "' + to.name + '"',
+    'relationship': null,
+    'run': function() {
+      if (command.relationship === null) {
+        command.relationship = image.addRelationship(from, to, type, yr);
+      } else {
+        image.insertRelationship(command.relationship);
+      }
+    },
+    'undo': function() {
+      image.removeRelationship(command.relationship);
+    }
+  };
+
+  return command;
+}
+
+function removeRelationshipCommand(image, relationship) {
+  return {
+    'label': 'Unrelate "' + relationship.from.name + '" and "' + relationship.to.name + '"',
+    'run': function() {
+      image.removeRelationship(relationship);
+    },
+    'undo': function() {
+      image.insertRelationship(relationship);
+    }
+  };
+}
+
+/*
+* Creates a command that adds a point event to an image.
+*
+* image:    Required. The image.
+* name:     Required. What happened.
+* yr:       Required. The year it happened.
+* category: Required. Category.
+*
+* Returns: The command. Once run, its 'event' property is the event that was added.
+*/
+function addEventCommand(image, name, yr, category) {
+  var command = {
+    'label': 'Add "' + name + '"',
+    'event': null,
+    'run': function() {
+      if (command.event === null) {
+        command.event = image.addEvent(name, yr, category);
+      } else {
+        image.insertEvent(command.event);
+      }
+    },
+    'undo': function() {
+      image.removeEvent(command.event);
+    }
+  };
+
+  return command;
+}
+
+function updateEventCommand(image, event, name, yr, category) {
+  var oldName = event.name;
+  var oldYr = event.yr;
+  var oldCategory = event.category;
+
+  return {
+    'label': 'Edit "' + oldName + '"',
+    'run': function() {
+      image.updateEvent(event, name, yr, category);
+    },
+    'undo': function() {
+      image.updateEvent(event, oldName, oldYr, oldCategory);
+    }
+  };
+}
+
+function removeEventCommand(image, event) {
+  return {
+    'label': 'Delete "' + event.name + '"',
+    'run': function() {
+      image.removeEvent(event);
+    },
+    'undo': function() {
+      image.insertEvent(event);
+    }
+  };
+}
+
+/*
+* Creates a command that adds an era to an image.
+*
+* image:    Required. The image.
+* name:     Required. The era's name.
+* startYr:  Required. The year it began.
+* endYr:    Required. The year it ended. Use null for an era that is still going.
+* category: Required. Category.
+*
+* Returns: The command. Once run, its 'era' property is the era that was added.
+*/
+function addEraCommand(image, name, startYr, endYr, category) {
+  var command = {
+    'label': 'Add "' + name + '"',
+    'era': null,
+    'run': function() {
+      if (command.era === null) {
+        command.era = image.addEra(name, startYr, endYr, category);
+      } else {
+        image.insertEra(command.era);
+      }
+    },
+    'undo': function() {
+      image.removeEra(command.era);
+    }
+  };
+
+  return command;
+}
+
+function updateEraCommand(image, era, name, startYr, endYr, category) {
+  var oldName = era.name;
+  var oldStartYr = era.startYr;
+  var oldEndYr = era.endYr;
+  var oldCategory = era.category;
+
+  return {
+    'label': 'Edit "' + oldName + '"',
+    'run': function() {
+      image.updateEra(era, name, startYr, endYr, category);
+    },
+    'undo': function() {
+      image.updateEra(era, oldName, oldStartYr, oldEndYr, oldCategory);
+    }
+  };
+}
+
+function removeEraCommand(image, era) {
+  return {
+    'label': 'Delete "' + era.name + '"',
+    'run': function() {
+      image.removeEra(era);
+    },
+    'undo': function() {
+      image.insertEra(era);
+    }
+  };
+}
+
+/*
+* Creates a command that changes the background color of a category of events and eras.
+*
+* image:    Required. The image.
+* category: Required. The marker category name.
+* bgColor:  Required. The new background color.
+*
+* Returns: The command.
+*/
+function setMarkerCategoryColorCommand(image, category, bgColor) {
+  var oldBgColor = image.markerCategoryColors[category];
+
+  return {
+    'label': 'Recolor "' + category + '"',
+    'run': function() {
+      image.setMarkerCategoryColor(category, bgColor);
+    },
+    'undo': function() {
+      image.setMarkerCategoryColor(category, oldBgColor);
+    }
+  };
+}
+
+function setMarkerCategoryHiddenCommand(image, category, hidden) {
+  return {
+    'label': (hidden ? 'Hide "' : 'Show "') + category + '"',
+    'run': function() {
+      image.setMarkerCategoryHidden(category, hidden);
+    },
+    'undo': function() {
+      image.setMarkerCategoryHidden(category, !hidden);
+    }
+  };
+}
+
+function EditHistory(limit) {
+  // The most commands kept for undoing
+  this.limit = (limit === undefined) ? 100 : limit;
+
+  this.undoStack = [];
+  this.redoStack = [];
+
+  // Commands performed so far by the group currently running, if any
+  this.groupCommands = null;
+
+  /*
+  * Performs a command, so that it can be undone.
+  *
+  * command: Required. The command to perform.
+  *
+  * Side Effect: Runs the command and forgets anything that could have been redone.
+  *
+  * Returns: The command.
+  */
+  this.perform = function(command) {
+    command.run();
+
+    if (this.groupCommands !== null) {
+      this.groupCommands.push(command);
+    } else {
+      this.push(command);
+    }
+
+    return command;
+  }
+
+  this.push = function(command) {
+    this.undoStack.push(command);
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+
+    imageModule.wrapCall(this.onchange)();
+  }
+
+  /*
+  * Runs the commands of a group (see group), when they are first performed and when they are undone and redone.
+  * It can be replaced to put off work each command would otherwise repeat, e.g. with HistoryImage.batchLayout.
+  *
+  * func: Required. A function that runs the commands.
+  *
+  * Returns: Whatever func returns.
+  */
+  this.batch = function(func) {
+    return func();
+  }
+
+  /*
+  * Performs several commands as a single step, so that they are undone and redone together.
+  *
+  * label: Required. A short description of the whole step.
+  * func:  Required. A function that performs the commands (through perform).
+  *
+  * Returns: Whatever func returns.
+  */
+  this.group = function(label, func) {
+    // Groups within groups just become part of the outer group
+    if (this.groupCommands !== null) {
+      return func();
+    }
+
+    var history = this;
+    var commands = [];
+    this.groupCommands = commands;
+    try {
+      var result = this.batch(func);
+    } finally {
+      this.groupCommands = null;
+
+      if (commands.length > 0) {
+        this.push({
+          'label': label,
+          'run': function() {
+            history.batch(function() {
+              commands.forEach(function(command) { command.run(); });
+            });
+          },
+          'undo': function() {
+            history.batch(function() {
+              commands.slice(0).reverse().forEach(function(command) { command.undo(); });
+            });
+          }
+        });
+      }
+    }
+
+    return result;
+  }
+
+  this.canUndo = function() {
+    return this.undoStack.length > 0;
+  }
+
+  this.canRedo = function() {
+    return this.redoStack.length > 0;
+  }
+
+  /*
+  * Gets the label of the command that would be undone next.
+  *
+  * Returns: The label, or null if there is nothing to undo.
+  */
+  this.undoLabel = function() {
+    return this.canUndo() ? this.undoStack[this.undoStack.length - 1].label : null;
+  }
+
+  /*
+  * Gets the label of the command that would be redone next.
+  *
+  * Returns: The label, or null if there is nothing to redo.
+  */
+  this.redoLabel = function() {
+    return this.canRedo() ? this.redoStack[this.redoStack.length - 1].label : null;
+  }
+
+  /*
+  * Reverses the most recent command.
+  *
+  * Returns: True iff there was something to undo.
+  */
+  this.undo = function() {
+    if (!this.canUndo()) {
+      return false;
+    }
+
+    var command = this.undoStack.pop();
+    command.undo();
+    this.redoStack.push(command);
+
+    imageModule.wrapCall(this.onchange)();
+    return true;
+  }
+
+  /*
+  * Re-performs the most recently undone command.
+  *
+  * Returns: True iff there was something to redo.
+  */
+  this.redo = function() {
+    if (!this.canRedo()) {
+      return false;
+    }
+
+    var command = this.redoStack.pop();
+    command.run();
+    this.undoStack.push(command);
+
+    imageModule.wrapCall(this.onchange)();
+    return true;
+  }
+
+  /*
+  * Forgets all commands, e.g. when a different chart is opened.
+  *
+  * Returns: Nothing.
+  */
+  this.clear = function() {
+    this.undoStack = [];
+    this.redoStack = [];
+
+    imageModule.wrapCall(this.onchange)();
+  }
+}
+
+// Exports
+exports.addBarCommand = addBarCommand;
+exports.updateBarCommand = updateBarCommand;
+exports.removeBarCommand = removeBarCommand;
+exports.pinBarCommand = pinBarCommand;
+exports.setCategoryColorCommand = setCategoryColorCommand;
+exports.renameCategoryCommand = renameCategoryCommand;
+exports.moveCategoryCommand = moveCategoryCommand;
+exports.setCategoryHiddenCommand = setCategoryHiddenCommand;
+exports.removeCategoryCommand = removeCategoryCommand;
+exports.setPaletteCommand = setPaletteCommand;
+exports.addRelationshipCommand = addRelationshipCommand;
+exports.removeRelationshipCommand = removeRelationshipCommand;
+exports.addEventCommand = addEventCommand;
+exports.updateEventCommand = updateEventCommand;
+exports.removeEventCommand = removeEventCommand;
+exports.addEraCommand = addEraCommand;
+exports.updateEraCommand = updateEraCommand;
+exports.removeEraCommand = removeEraCommand;
+exports.setMarkerCategoryColorCommand = setMarkerCategoryColorCommand;
+exports.setMarkerCategoryHiddenCommand = setMarkerCategoryHiddenCommand;
+exports.EditHistory = EditHistory;
+}));
@@ -0,0 +1,387 @@
+/*
+* Exporting the whole chart for printing: as a PNG at a chosen resolution, or as a poster tiled across several pages.
+*
+* Both start from HistoryImage.getSvgEl, so they include every figure, not just the part of the chart in view.
+*/
+
+(function (root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define(['exports', './image'], factory);
+  } else if (typeof exports === 'object' && typeof exports.nodeName !== 'string') {
+    factory(exports, require('./image.js'));
+  } else {
+    root.HorizontalHistory = root.HorizontalHistory || {};
+    factory(root.HorizontalHistory, root.HorizontalHistory);
+  }
+}(typeof self !== 'undefined' ? self : this, function (exports, imageModule) {
+
+// The resolution of svg pixels (CSS pixels), in dots per inch
+const cssDpi = 96;
+
+// The largest canvas browsers reliably allow, in pixels along each side and in total
+const maxCanvasSide = 16384;
+const maxCanvasArea = 16384 * 16384;
+
+// Paper sizes for posters, in millimetres (portrait)
+const posterPaperSizes = {
+  'a4': {'name': 'A4', 'width': 210, 'height': 297},
+  'a3': {'name': 'A3', 'width': 297, 'height': 420},
+  'letter': {'name': 'Letter', 'width': 215.9, 'height': 279.4},
+  'tabloid': {'name': 'Tabloid', 'width': 279.4, 'height': 431.8}
+};
+
+// Poster page layout, in millimetres: the page margin, the strip at the foot of each page for its label,
+// and how much each page repeats of its neighbours so they can be overlapped when assembled
+const posterMargin = 10;
+const posterFooterHeight = 6;
+const posterOverlap = 10;
+
+// How long a poster's hidden print frame is kept, in milliseconds, if the browser doesn't say when printing is done
+const posterFrameTimeout = 60000;
+
+/*
+* Calculates the CRC-32 of some bytes, as used by PNG chunks.
+*
+* bytes: Required. A Uint8Array.
+*
+* Returns: The CRC, as an unsigned 32-bit number.
+*/
+function crc32(bytes) {
+  var crc = 0xffffffff;
+  for (var idx = 0; idx < bytes.length; idx++) {
+    crc ^= bytes[idx];
+    for (var bit = 0; bit < 8; bit++) {
+      crc = (crc & 1) ? (crc >>> 1) ^ 0xedb88320 : crc >>> 1;
+    }
+  }
+
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/*
+* Records the resolution in a PNG file, so programs that print it know how big it is meant to be.
+* Canvases always produce 72 DPI files (they leave the resolution out), so a pHYs chunk is added after the header.
+*
+* bytes: Required. The PNG file, as a Uint8Array. It must not already have a pHYs chunk.
+* dpi:   Required. The resolution, in dots per inch.
+*
+* Returns: The new PNG file, as a Uint8Array.
+*/
+function setPngDpi(bytes, dpi) {
+  // The 8 byte signature, then the IHDR chunk: 4 bytes of length, 4 of type, 13 of data and 4 of CRC
+  var headerEnd = 8 + 4 + 4 + 13 + 4;
+  var dotsPerMetre = Math.round(dpi / 0.0254);
+
+  // Length, type ('pHYs'), dots per unit across and down, the unit (1 is metres) and CRC
+  var chunk = new Uint8Array(4 + 4 + 9 + 4);
+  var view = new DataView(chunk.buffer);
+  view.setUint32(0, 9);
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4);
+  view.setUint32(8, dotsPerMetre);
+  view.setUint32(12, dotsPerMetre);
+  chunk[16] = 1;
+  view.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+  var result = new Uint8Array(bytes.length + chunk.length);
+  result.set(bytes.subarray(0, headerEnd), 0);
+  result.set(chunk, headerEnd);
+  result.set(bytes.subarray(headerEnd), headerEnd + chunk.length);
+
+  return result;
+}
+
+/*
+* Draws an svg element onto a canvas and encodes it as a PNG.
+*
+* svgEl: Required. A standalone svg element (see HistoryImage.getSvgEl). Its width and height attributes give its size in CSS pixels.
+* dpi:   Required. The resolution, in dots per inch. 96 DPI draws one image pixel per svg pixel.
+*
+* Returns: A promise of the PNG file, as a Blob. The promise is rejected if the image is too big for a canvas.
+*/
+function rasterizeSvgEl(svgEl, dpi) {
+  var width = parseFloat(svgEl.getAttribute('width'));
+  var height = parseFloat(svgEl.getAttribute('height'));
+  var scale = dpi / cssDpi;
+  var pixelWidth = Math.ceil(width * scale);
+  var pixelHeight = Math.ceil(height * scale);
+
+  if (pixelWidth > maxCanvasSide || pixelHeight > maxCanvasSide || pixelWidth * pixelHeight > maxCanvasArea) {
+    var maxScale = Math.min(maxCanvasSide / width, maxCanvasSide / height, Math.sqrt(maxCanvasArea / (width * height)));
+    return Promise.reject(new Error('The chart is too big to export at ' + dpi + ' DPI. Use ' +
+                                    Math.floor(maxScale * cssDpi) + ' DPI or less.'));
+  }
+
+  // Have the browser draw the svg at full resolution, rather than drawing it small and stretching it
+  svgEl = svgEl.cloneNode(true);
+  imageModule.setAttrs(svgEl, {'width': pixelWidth, 'height': pixelHeight});
+
+  var url = URL.createObjectURL(new Blob([imageModule.svgElToText(svgEl)], {'type': 'image/svg+xml'}));
+  var imgEl = document.createElement('img');
+
+  return new Promise(function(resolve, reject) {
+    imgEl.onload = resolve;
+    imgEl.onerror = function() {
+      reject(new Error('The browser could not draw the chart.'));
+    };
+    imgEl.src = url;
+  }).then(function() {
+    var canvasEl = document.createElement('canvas');
+    canvasEl.width = pixelWidth;
+    canvasEl.height = pixelHeight;
+    canvasEl.getContext('2d').drawImage(imgEl, 0, 0, pixelWidth, pixelHeight);
+
+    return new Promise(function(resolve) {
+      canvasEl.toBlob(resolve, 'image/png');
+    });
+  }).then(function(blob) {
+    URL.revokeObjectURL(url);
+
+    // The browser couldn't allocate the canvas after all
+    if (blob === null) {
+      throw new Error('The chart is too big to export at ' + dpi + ' DPI. Try a lower resolution.');
+    }
+
+    return blob.arrayBuffer();
+  }, function(e) {
+    URL.revokeObjectURL(url);
+    throw e;
+  }).then(function(buffer) {
+    return new Blob([setPngDpi(new Uint8Array(buffer), dpi)], {'type': 'image/png'});
+  });
+}
+
+/*
+* Exports the whole of a chart as a PNG.
+*
+* image:      Required. The image.
+* dpi:        Required. The resolution, in dots per inch.
+* svgOptions: Optional. Options for HistoryImage.getSvgEl, e.g. to export only some categories.
+*
+* Returns: A promise of the PNG file, as a Blob.
+*/
+function exportPng(image, dpi, svgOptions) {
+  return rasterizeSvgEl(image.getSvgEl(svgOptions), dpi);
+}
+
+/*
+* Works out how to tile a chart across pages.
+* The chart is scaled so that it spans the given number of pages across its time axis (e.g. side by side, for a
+* vertical chart), then split into as many pages as it takes along the time axis. Neighbouring pages overlap by
+* posterOverlap.
+*
+* chartWidth:  Required. The chart width, in svg pixels.
+* chartHeight: Required. The chart height, in svg pixels.
+* orientation: Required. The chart orientation, 'vertical' or 'horizontal'.
+* paper:       Required. One of posterPaperSizes.
+* landscape:   Required. True to turn the paper sideways.
+* pagesAcross: Required. How many pages the chart should span across its time axis.
+*
+* Returns: An object with:
+*   scale:         How many millimetres each svg pixel is printed as.
+*   paperWidth:    The width of the paper as it is printed on, in millimetres. paperHeight likewise.
+*   pageWidth:     The width of the chart area of each page, in millimetres. pageHeight likewise.
+*   tileWidth:     The width of chart shown on each page, in svg pixels. tileHeight likewise.
+*   cols, rows:    The number of pages side by side and one above the other.
+*   overlapWidth:  How much of the chart neighbouring pages share side to side, in svg pixels. overlapHeight likewise.
+*/
+function layoutPoster(chartWidth, chartHeight, orientation, paper, landscape, pagesAcross) {
+  var paperWidth = landscape ? paper.height : paper.width;
+  var paperHeight = landscape ? paper.width : paper.height;
+  var pageWidth = paperWidth - 2 * posterMargin;
+  var pageHeight = paperHeight - 2 * posterMargin - posterFooterHeight;
+
+  // Fit the chart across the time axis onto the chosen number of pages, less the overlaps between them
+  var scale;
+  if (orientation == 'vertical') {
+    scale = (pagesAcross * pageWidth - (pagesAcross - 1) * posterOverlap) / chartWidth;
+  } else {
+    scale = (pagesAcross * pageHeight - (pagesAcross - 1) * posterOverlap) / chartHeight;
+  }
+
+  var tileWidth = pageWidth / scale;
+  var tileHeight = pageHeight / scale;
+  var overlapWidth = Math.min(posterOverlap / scale, tileWidth / 2);
+  var overlapHeight = Math.min(posterOverlap / scale, tileHeight / 2);
+
+  return {
+    'scale': scale,
+    'pageWidth': pageWidth, 'pageHeight': pageHeight,
+    'paperWidth': paperWidth, 'paperHeight': paperHeight,
+    'tileWidth': tileWidth, 'tileHeight': tileHeight,
+    'overlapWidth': overlapWidth, 'overlapHeight': overlapHeight,
+    'cols': Math.max(1, Math.ceil((chartWidth - overlapWidth) / (tileWidth - overlapWidth) - 1e-9)),
+    'rows': Math.max(1, Math.ceil((chartHeight - overlapHeight) / (tileHeight - overlapHeight) - 1e-9))
+  };
+}
+
+/*
+* Generates a printable HTML document holding a chart tiled across pages.
+* Each page shows its part of the chart, with the time axis labels repeated along its edge if the page doesn't
+* already include them, dashed marks where it overlaps its neighbours, and a label saying where it goes.
+*
+* image:       Required. The image.
+* paperName:   Required. A key of posterPaperSizes.
+* landscape:   Required. True to turn the paper sideways.
+* pagesAcross: Required. How many pages the chart should span across its time axis.
+* svgOptions:  Optional. Options for HistoryImage.getSvgEl, e.g. to print only some categories.
+*
+* Returns: The HTML document, as text.
+*/
+function buildPosterHtml(image, paperName, landscape, pagesAcross, svgOptions) {
+  var paper = posterPaperSizes[paperName];
+  var chartSvgEl = image.getSvgEl(svgOptions);
+  var chartWidth = parseFloat(chartSvgEl.getAttribute('width'));
+  var chartHeight = parseFloat(chartSvgEl.getAttribute('height'));
+  var layout = layoutPoster(chartWidth, chartHeight, image.orientation, paper, landscape, pagesAcross);
+  var axisSize = image.getAxisSize();
+
+  // The chart is included once, and each page shows part of it
+  var chartGEl = imageModule.buildEl('g', {}, 'posterChart');
+  while (chartSvgEl.firstChild !== null) {
+    chartGEl.appendChild(chartSvgEl.firstChild);
+  }
+  var defsEl = imageModule.buildEl('defs', {});
+  defsEl.appendChild(chartGEl);
+  var sourceSvgEl = imageModule.buildEl('svg', {'width': 0, 'height': 0, 'style': 'position: absolute'});
+  sourceSvgEl.appendChild(defsEl);
+
+  var serializer = new XMLSerializer();
+  var mm = function(length) {
+    return length.toFixed(2) + 'mm';
+  };
+
+  // Builds an svg showing part of the chart
+  var buildViewEl = function(x, y, width, height, style) {
+    var viewEl = imageModule.buildEl('svg', {
+      'width': mm(width * layout.scale), 'height': mm(height * layout.scale),
+      'viewBox': [x, y, width, height].join(' '),
+      'style': style
+    });
+    var useEl = imageModule.buildEl('use', {'href': '#posterChart'});
+    viewEl.appendChild(useEl);
+
+    return viewEl;
+  };
+
+  // Builds a dashed line across the page, marking the edge of an overlap
+  var buildMarkEl = function(x1, y1, x2, y2) {
+    return imageModule.buildEl('line', {
+      'x1': mm(x1), 'y1': mm(y1), 'x2': mm(x2), 'y2': mm(y2),
+      'stroke': 'gray', 'stroke-width': '0.3mm', 'stroke-dasharray': '2mm,1mm'
+    });
+  };
+
+  var pages = [];
+  for (var row = 0; row < layout.rows; row++) {
+    for (var col = 0; col < layout.cols; col++) {
+      var x = col * (layout.tileWidth - layout.overlapWidth);
+      var y = row * (layout.tileHeight - layout.overlapHeight);
+
+      var views = [buildViewEl(x, y, layout.tileWidth, layout.tileHeight, 'position: absolute; left: 0; top: 0')];
+
+      // Repeat the axis labels on pages that don't include them
+      if (image.orientation == 'vertical' && col > 0) {
+        views.push(buildViewEl(0, y, axisSize, layout.tileHeight, 'position: absolute; left: 0; top: 0'));
+      } else if (image.orientation == 'horizontal' && row > 0) {
+        views.push(buildViewEl(x, 0, layout.tileWidth, axisSize, 'position: absolute; left: 0; top: 0'));
+      }
+
+      // Mark the parts of the page that neighbouring pages repeat
+      var marksEl = imageModule.buildEl('svg', {
+        'width': mm(layout.pageWidth), 'height': mm(layout.pageHeight),
+        'style': 'position: absolute; left: 0; top: 0'
+      });
+      var overlapWidth = layout.overlapWidth * layout.scale;
+      var overlapHeight = layout.overlapHeight * layout.scale;
+      if (col > 0) {
+        marksEl.appendChild(buildMarkEl(overlapWidth, 0, overlapWidth, layout.pageHeight));
+      }
+      if (col < layout.cols - 1) {
+        marksEl.appendChild(buildMarkEl(layout.pageWidth - overlapWidth, 0, layout.pageWidth - overlapWidth, layout.pageHeight));
+      }
+      if (row > 0) {
+        marksEl.appendChild(buildMarkEl(0, overlapHeight, layout.pageWidth, overlapHeight));
+      }
+      if (row < layout.rows - 1) {
+        marksEl.appendChild(buildMarkEl(0, layout.pageHeight - overlapHeight, layout.pageWidth, layout.pageHeight - overlapHeight));
+      }
+      views.push(marksEl);
+
+      var label = 'Page ' + (pages.length + 1) + ' of ' + (layout.rows * layout.cols) +
+                  ': row ' + (row + 1) + ' of ' + layout.rows + ', column ' + (col + 1) + ' of ' + layout.cols +
+                  '. Overlap pages along the dashed lines.';
+
+      pages.push('<div class="page"><div class="chart">' +
+                 views.map(function(viewEl) { return serializer.serializeToString(viewEl); }).join('') +
+                 '</div><div class="label">' + label + '</div></div>');
+    }
+  }
+
+  var style = [
+    '@page { size: ' + mm(layout.paperWidth) + ' ' + mm(layout.paperHeight) + '; margin: ' + mm(posterMargin) + '; }',
+    'body { margin: 0; }',
+    '.page { break-after: page; page-break-after: always; }',
+    '.page:last-child { break-after: auto; page-break-after: auto; }',
+    '.chart { position: relative; overflow: hidden; width: ' + mm(layout.pageWidth) + '; height: ' + mm(layout.pageHeight) + '; }',
+    '.label { height: ' + mm(posterFooterHeight) + '; font: 3mm sans-serif; color: gray; line-height: ' + mm(posterFooterHeight) + '; }'
+  ];
+
+  return '<!DOCTYPE html><html><head><meta charset="utf-8"><title>Poster</title><style>' + style.join('\n') +
+         '</style></head><body>' + serializer.serializeToString(sourceSvgEl) + pages.join('') + '</body></html>';
+}
+
+/*
+* Prints a chart as a poster tiled across pages (see buildPosterHtml). The browser's print dialog can also save it as a PDF.
+*
+* image:       Required. The image.
+* paperName:   Required. A key of posterPaperSizes.
+* landscape:   Required. True to turn the paper sideways.
+* pagesAcross: Required. How many pages the chart should span across its time axis.
+* svgOptions:  Optional. As for buildPosterHtml.
+*
+* Side Effect: Adds a hidden frame to the document while printing. It's removed after printing, or failing that (not every
+*              browser reports when printing from a frame is done) when the window is next focused, after
+*              posterFrameTimeout, or when the next poster is printed.
+*
+* Returns: Nothing.
+*/
+function printPoster(image, paperName, landscape, pagesAcross, svgOptions) {
+  Array.prototype.slice.call(document.querySelectorAll('iframe.posterFrame')).forEach(function(oldFrameEl) {
+    oldFrameEl.parentNode.removeChild(oldFrameEl);
+  });
+
+  var frameEl = document.createElement('iframe');
+  frameEl.className = 'posterFrame';
+  frameEl.style.position = 'absolute';
+  frameEl.style.width = '0';
+  frameEl.style.height = '0';
+  frameEl.style.border = 'none';
+
+  var timeoutId = null;
+  var removeFrame = function() {
+    window.removeEventListener('focus', removeFrame);
+    clearTimeout(timeoutId);
+    if (frameEl.parentNode !== null) {
+      frameEl.parentNode.removeChild(frameEl);
+    }
+  };
+
+  frameEl.onload = function() {
+    var frameWindow = frameEl.contentWindow;
+    frameWindow.onafterprint = removeFrame;
+    frameWindow.focus();
+    frameWindow.print();
+
+    window.addEventListener('focus', removeFrame);
+    timeoutId = setTimeout(removeFrame, posterFrameTimeout);
+  };
+  frameEl.srcdoc = buildPosterHtml(image, paperName, landscape, pagesAcross, svgOptions);
+
+  document.body.appendChild(frameEl);
+}
+
+// Exports
+exports.posterPaperSizes = posterPaperSizes;
+exports.exportPng = exportPng;
+exports.printPoster = printPoster;
+}));
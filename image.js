@@ -1,36 +1,18 @@
 /*
-* Determines whether a DOM node is an element (versus text).
-* 
-* node: Required. The node to check.
-* 
-* Returns: True iff the node is an element.
+* The chart image: a HistoryImage draws figures as bars on a timeline in an svg element, and handles selecting, editing,
+* scrolling and zooming them.
 */
-function isEl(node) {
-  return node.tagName !== undefined;
-}
-
-function parseColor(color) {
-  var re = /rgb\( *([0-9]*), *([0-9]*), *([0-9]*)\)/
-  var reGroups = re.exec(color);
-
-  // TODO: error handling
-
-  var red = parseInt(reGroups[1]);
-  var green = parseInt(reGroups[2]);
-  var blue = parseInt(reGroups[3]);
-
-  var max = Math.max(red, green, blue);
-  var min = Math.min(red, green, blue);
-
-  var lumosity = (max + min) / 2;
 
-  return {
-    'red': red, 'r': red,
-    'green': green, 'g': green,
-    'blue': blue, 'b': blue,
-    'lumosity': lumosity, 'l': lumosity
-  };
-}
+(function (root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define(['exports', './years', './colors', './chartfile'], factory);
+  } else if (typeof exports === 'object' && typeof exports.nodeName !== 'string') {
+    factory(exports, require('./years.js'), require('./colors.js'), require('./chartfile.js'));
+  } else {
+    root.HorizontalHistory = root.HorizontalHistory || {};
+    factory(root.HorizontalHistory, root.HorizontalHistory, root.HorizontalHistory, root.HorizontalHistory);
+  }
+}(typeof self !== 'undefined' ? self : this, function (exports, years, colors, chartfile) {
 
 /*
 * Wraps a possibly-null function in a safe-to-call function
@@ -68,71 +50,379 @@ function addObserver(target, attribute, callback) {
 }
 
 /*
-* Clones a DOM node and all its children (recursively) with the
-* effective style applied directly to each element.
-* Used to generate a DOM tree indpendent of CSS.
+* Formats CSS rules as the text of a style sheet.
+*
+* rules: Required. An object of CSS declarations, keyed by selector.
+*
+* Returns: The style sheet text, one rule per line.
+*/
+function formatCss(rules) {
+  var lines = [];
+  for (var selector in rules) {
+    lines.push(selector + " { " + rules[selector] + " }");
+  }
+
+  return lines.join("\n");
+}
+
+/*
+* Serializes an svg element to the text of a standalone svg file.
+*
+* svgEl: Required. The svg element.
+*
+* Returns: The file contents.
+*/
+function svgElToText(svgEl) {
+  return "<?xml version='1.0' ?>" + new XMLSerializer().serializeToString(svgEl);
+}
+
+/*
+* Packs bars into columns, so that no two bars in a column overlap in time (unless they are pinned there).
+* Pinned bars go in their columns first. Then, if preferred columns are given, bars go in theirs where they still fit.
+* The rest go in the first column they fit in, in the order given, so bars sorted latest first (as assignCols sorts
+* them) are packed into as few columns as possible.
 *
-* node: Required. Root node to clone.
-* func: Optional. Function to run against each cloned node for additional customization.
+* bars:             Required. The bars.
+* preferredColIdxs: Optional. The column each bar would like to stay in, or null for no preference, in the same order
+*                   as 'bars'.
 *
-* Returns: DOM node tree with styles applied.
+* Returns: An object with the column for each bar ('colIdxs', in the same order as 'bars') and the number of columns ('colCount').
 */
-function cloneTreeWithStyle(node, func) {
-  // Clode the node
-  var cloneNode = node.cloneNode(false);
+function packCols(bars, preferredColIdxs) {
+  // The spans of the bars in each column, including any uncertainty in their years
+  var cols = [];
+  var spans = bars.map(function(bar) {
+    return bar.getSpan();
+  });
 
-  // Run custom logic
-  wrapCall(func)(cloneNode);
+  var fits = function(colIdx, span) {
+    return colIdx >= cols.length || cols[colIdx].every(function(placed) {
+      return placed.endYr <= span.startYr || placed.startYr >= span.endYr;
+    });
+  };
+  var place = function(colIdx, span) {
+    while (cols.length <= colIdx) {
+      cols.push([]);
+    }
+    cols[colIdx].push(span);
 
-  // Clone the computed style info
-  if (isEl(node)) {
-    // Get the effective style for the element
-    var styleInfo = window.getComputedStyle(node, null);
+    return colIdx;
+  };
 
-    // Apply the style directly to the cloned element
-    for (var propertyIdx = 0; propertyIdx < styleInfo.length; propertyIdx++) {
-      var property = styleInfo[propertyIdx];
+  var colIdxs = bars.map(function(bar, idx) {
+    return (bar.pinnedColIdx === null) ? null : place(bar.pinnedColIdx, spans[idx]);
+  });
 
-      // Do *NOT* set style info for attributes set directly on the element
-      if (!(property in cloneNode)) {
-        cloneNode.style[property] = styleInfo.getPropertyValue(property);
+  if (preferredColIdxs !== undefined) {
+    bars.forEach(function(bar, idx) {
+      var colIdx = preferredColIdxs[idx];
+      if (colIdxs[idx] === null && colIdx !== null && fits(colIdx, spans[idx])) {
+        colIdxs[idx] = place(colIdx, spans[idx]);
       }
+    });
+  }
+
+  bars.forEach(function(bar, idx) {
+    if (colIdxs[idx] !== null) {
+      return;
+    }
+
+    // Find the first column available throughout the bar's years, adding a new one if there are none
+    var colIdx = 0;
+    while (!fits(colIdx, spans[idx])) {
+      colIdx++;
+    }
+    colIdxs[idx] = place(colIdx, spans[idx]);
+  });
+
+  return {'colIdxs': colIdxs, 'colCount': cols.length};
+}
+
+/*
+* The ways bars can be arranged into columns, keyed by id.
+* Each layout function receives the bars to arrange, sorted latest first, and the categories they are shown in, in
+* order. It returns an object like packCols does, plus the swimlanes ('lanes') the columns are grouped into, if any.
+* Each swimlane has the category it is for, its first column ('colIdx') and its number of columns ('colCount').
+*/
+const layoutStrategies = {
+  // As few columns as possible
+  'compact': {
+    'name': 'Compact',
+    'layout': function(bars, categories) {
+      return packCols(bars);
+    }
+  },
+
+  // The earliest born in the first columns
+  'birth': {
+    'name': 'By birth',
+    'layout': function(bars, categories) {
+      var order = bars.slice(0).sort(function(a, b) {
+        return a.getSpan().startYr - b.getSpan().startYr;
+      });
+      var packing = packCols(order);
+
+      return {
+        'colIdxs': bars.map(function(bar) {
+          return packing.colIdxs[order.indexOf(bar)];
+        }),
+        'colCount': packing.colCount
+      };
     }
+  },
+
+  // A labeled swimlane of columns for each category. Pinned columns are counted from the start of the swimlane.
+  'category': {
+    'name': 'By category',
+    'layout': function(bars, categories) {
+      var colIdxs = bars.map(function() {
+        return null;
+      });
+      var lanes = [];
+      var colCount = 0;
+
+      categories.forEach(function(category) {
+        var laneBars = bars.filter(function(bar) {
+          return bar.category == category;
+        });
+        if (laneBars.length == 0) {
+          return;
+        }
+
+        var packing = packCols(laneBars);
+        laneBars.forEach(function(bar, idx) {
+          colIdxs[bars.indexOf(bar)] = colCount + packing.colIdxs[idx];
+        });
+        lanes.push({'category': category, 'colIdx': colCount, 'colCount': packing.colCount});
+        colCount += packing.colCount;
+      });
+
+      return {'colIdxs': colIdxs, 'colCount': colCount, 'lanes': lanes};
+    }
+  },
+
+  // Bars stay in the columns they were last in wherever they still fit, so edits move as little as possible
+  'stable': {
+    'name': 'Stable',
+    'layout': function(bars, categories) {
+      return packCols(bars, bars.map(function(bar) {
+        return bar.laidOutColIdx;
+      }));
+    }
+  }
+};
+const defaultLayout = 'compact';
+
+/*
+* Converts a category name into a form that can be used in a CSS class name.
+* Whitespace, which would split the class, and underscores are written as their character code between underscores
+* (e.g. "Old Masters" becomes "Old_20_Masters"), so every category name has a class of its own. Other characters a
+* class name can't be selected by as they are, such as brackets or dots, are left for getCategoryCssRules to escape.
+*
+* category: Required. The category name.
+*
+* Returns: The category name with whitespace and underscores replaced.
+*/
+function cleanCategoryName(category) {
+  return category.replace(/[\s_]/g, function(c) {
+    return '_' + c.charCodeAt(0).toString(16) + '_';
+  });
+}
+
+/*
+* Shortens a name to initials and a surname, e.g. "Johann Sebastian Bach" to "J. S. Bach".
+* Lowercase particles such as "da" or "von" are kept whole.
+*
+* name: Required. The name.
+*
+* Returns: The shortened name, or the name itself if it is a single word.
+*/
+function abbreviateName(name) {
+  var words = name.trim().split(/\s+/);
+  if (words.length < 2) {
+    return name;
   }
 
-  // Recur
-  node.childNodes.forEach(function(child, idx) {
-    cloneNode.appendChild(cloneTreeWithStyle(child, func));
+  var initials = words.slice(0, -1).map(function(word) {
+    return (word.charAt(0) == word.charAt(0).toLowerCase()) ? word : word.charAt(0) + '.';
   });
 
-  return cloneNode;
+  return initials.concat(words.slice(-1)).join(' ');
 }
 
 /*
-* Determines the decade in which a year belongs.
-* A decade is defined as an integer of all the digits in a year except the one's digit.
-* For example, the decade for 1945 is 194.
-* 
-* yr: Required. The year.
-* 
-* Returns: The decade containing 'yr'.
+* Measures how wide a text element's text is drawn.
+*
+* textEl: Required. The text element.
+*
+* Returns: The width, in pixels. Text that isn't being drawn (e.g. in a hidden bar) can't be measured, so its width is
+*          estimated from labelCharWidth and the font size.
 */
-getDecadeForYr = function (yr) {
-  return Math.floor(yr / 10);
+function measureTextWidth(textEl) {
+  var width = (typeof textEl.getComputedTextLength === 'function') ? textEl.getComputedTextLength() : 0;
+  if (width == 0) {
+    var fontSize = parseFloat(textEl.getAttribute('font-size')) || labelFontSize;
+    width = textEl.textContent.length * labelCharWidth * fontSize / labelFontSize;
+  }
+
+  return width;
 }
 
 // Constants
 
 const curYr = new Date().getFullYear();
-const curDecade = getDecadeForYr(curYr);
+const curDecade = years.getDecadeForYr(curYr);
 const indexYr = (curDecade + 1) * 10;
 
-const yrHeight = 3;
-const decadeHeight = yrHeight * 10;
+// The default, smallest and largest time scales, in pixels per year
+const defaultYrHeight = 3;
+const minYrHeight = 0.05;
+const maxYrHeight = 40;
+
+// The lengths of time (in years) the axis can label, and the smallest length (in pixels) of an axis label
+// in vertical and horizontal orientation. Horizontal labels need more room, since their text runs along the axis.
+const axisUnits = [1, 10, 100, 1000];
+const minAxisLabelHeight = 24;
+const minAxisLabelWidth = 48;
+
+// The width of the time axis in vertical orientation, and its height in horizontal orientation
 const decadeWidth = 60;
+const axisHeight = 20;
 
 const colWidth = 30;
 
+// Sizes involved in fitting bars' names into them (see Bar.fitLabel). The character width is only an estimate, for
+// when the text can't be measured.
+const labelFontSize = 16;
+const minLabelFontSize = 9;
+const labelPadding = 3;
+const labelCharWidth = 8;
+const minLabelChars = 3;
+
+// How long the bar of a figure whose end isn't known takes to fade out, in years
+const unknownEndYrs = 30;
+
+// The layout of the legend: the space around it, the size of each color swatch and the gap after it, the height of
+// each entry, and roughly how wide each character of a category name is (the text can't be measured in an svg file)
+const legendPadding = 8;
+const legendSwatchSize = 12;
+const legendSwatchGap = 6;
+const legendRowHeight = 18;
+const legendCharWidth = 8;
+
+// The heading of the legend's section for the categories of events and eras
+const legendMarkerHeading = 'Events and eras';
+
+// The kinds of relationship between figures, keyed by type. Directed ones are drawn with an arrow from the first figure
+// to the second, and make up the chains that can be highlighted (see getRelationshipChain).
+const relationshipTypes = {
+  'teacher': {'name': 'Teacher of', 'inverseName': 'Student of', 'directed': true},
+  'parent': {'name': 'Parent of', 'inverseName': 'Child of', 'directed': true},
+  'influence': {'name': 'Influenced', 'inverseName': 'Influenced by', 'directed': true},
+  'rival': {'name': 'Rival of', 'inverseName': 'Rival of', 'directed': false}
+};
+
+const svgNS = "http://www.w3.org/2000/svg";
+
+// Attributes the image keeps on its elements for its own use, which mean nothing in an svg file
+const svgBookkeepingAttrs = ['offset', 'unit', 'start', 'end', 'startYr', 'endYr', 'effectiveEndYr', 'colIdx', 'category', 'style'];
+
+// Attributes that make the image usable from the keyboard and by screen readers as a listbox of figures, which an svg
+// file can't be interacted with (see initSvg and Bar)
+const svgInteractionAttrs = ['tabindex', 'role', 'aria-label', 'aria-multiselectable', 'aria-activedescendant',
+                             'aria-selected', 'aria-roledescription', 'aria-description'];
+
+// The things that happen to an image that listeners can be added for (see HistoryImage.on)
+const imageEventTypes = ['add', 'change', 'remove', 'select', 'scroll', 'resize'];
+
+// The number of images made so far, for giving each one's elements ids of their own
+var imageCount = 0;
+
+// How the image can be used from the keyboard, for screen readers
+const keyboardHelp = "Use the arrow keys to move between figures, shift and an arrow key to add to the selection, " +
+  "tab to step through them in time order, enter to edit, delete to remove, escape to unselect, " +
+  "and page up and page down to scroll through time.";
+
+// The fraction of the image that page up and page down scroll by
+const keyboardPageFraction = 0.9;
+
+// Scrolling. Wheel events may be measured in lines rather than pixels; a swipe keeps the image moving after the
+// finger is lifted, slowing by inertiaFriction every 16ms until it is slower than minInertiaSpeed (in pixels per ms).
+const wheelLineHeight = 16;
+const inertiaFriction = 0.95;
+const minInertiaSpeed = 0.02;
+
+// The overview at the end of the image across the time axis: a minimap of all of the bars, and a scrollbar
+const minimapWidth = 36;
+const minimapMaxColWidth = 4;
+const scrollbarWidth = 10;
+
+// The styles for the elements of an image, keyed by selector: a copy of image.css, which styles them on the page, for
+// embedding the ones an image uses in its svg files. Browsers don't let scripts read the style sheets of pages opened
+// from local files, so they can't be taken from image.css itself. csscheck.mjs checks that the two match.
+const imageCssRules = {
+  // "Image-wide" elements
+  'rect.bg': 'fill: white;',
+  'rect.future': 'stroke: gray; fill: gray;',
+  'rect.border': 'fill: none; stroke: black; stroke-width: 1;',
+
+  // Elements involved in drawing the time axis
+  'rect.axisLabel': 'fill: none; stroke: lightgray; stroke-width: 1;',
+  'text.axisLabel': 'text-anchor: middle; alignment-baseline: central;',
+  'path.axisBoundary': 'fill: none; stroke: black; stroke-dasharray: 5,5;',
+  'path.millenniumBoundary': 'fill: none; stroke: black; stroke-width: 2;',
+
+  // Elements involved in drawing a bar for a historical figure
+  'rect.bar': 'stroke: black; stroke-width: 1;',
+  'rect.floruit': 'stroke-dasharray: 4,2;',
+  'rect.chain-bar': 'stroke: orange; stroke-width: 3;',
+  'g.dimmed': 'opacity: 0.25;',
+  'g.filteredOut': 'opacity: 0.25;',
+  'rect.selected-bar': 'stroke: yellow; stroke-width: 3;',
+  'text.bar': 'text-anchor: middle; alignment-baseline: central;',
+  'text.bar.outsideLabel': 'fill: black;',
+
+  // Elements involved in drawing events and eras. Events are drawn over the bars, so they let clicks through.
+  'rect.era': 'fill-opacity: 0.2;',
+  'text.era': 'font-style: italic; paint-order: stroke; stroke: white; stroke-width: 3;',
+  'g.event': 'pointer-events: none;',
+  'path.event': 'stroke-width: 2;',
+  'text.event': 'font-size: 12px; paint-order: stroke; stroke: white; stroke-width: 3;',
+
+  // Elements involved in drawing relationships between figures
+  'g.relationships': 'pointer-events: none;',
+  'path.relationship': 'fill: none; stroke: dimgray; stroke-width: 1.5;',
+  'path.relationship-rival': 'stroke-dasharray: 6,3;',
+  'path.chain': 'stroke: orange; stroke-width: 3;',
+  'path.relationshipArrow': 'fill: dimgray;',
+
+  // Elements involved in drawing the swimlanes of the category layout
+  'g.lanes': 'pointer-events: none;',
+  'path.laneBoundary': 'fill: none; stroke: gray; stroke-dasharray: 2,4;',
+  'text.lane': 'alignment-baseline: central; font-weight: bold; paint-order: stroke; stroke: white; stroke-width: 3;',
+
+  // Elements involved in drawing the year ruler that follows the mouse
+  'g.ruler': 'pointer-events: none;',
+  'path.ruler': 'stroke: red; stroke-width: 1;',
+  'text.ruler': 'fill: red; font-weight: bold; paint-order: stroke; stroke: white; stroke-width: 3;',
+
+  // Elements involved in drawing the legend
+  'rect.legend': 'fill: white; stroke: lightgray; stroke-width: 1;',
+  'rect.legendSwatch': 'stroke: black; stroke-width: 1;',
+  'text.legend': 'alignment-baseline: central;',
+  'text.legendHeading': 'alignment-baseline: central; font-weight: bold;',
+
+  // Elements involved in drawing the overview (see drawOverview)
+  'rect.minimap': 'fill: whitesmoke; stroke: lightgray; stroke-width: 1;',
+  'rect.minimapView': 'fill: blue; fill-opacity: 0.1; stroke: blue; stroke-width: 1;',
+  'rect.scrollbar': 'fill: gainsboro;',
+  'rect.scrollbarThumb': 'fill: gray;',
+
+  // Elements involved in selecting and dragging bars
+  'rect.rubberBand': 'fill: blue; fill-opacity: 0.1; stroke: blue; stroke-dasharray: 3,3;',
+  'text.dragReadout': 'alignment-baseline: central; font-weight: bold;'
+};
+
 /*
 * Generically adds attributes to an element.
 * 
@@ -141,7 +431,7 @@ const colWidth = 30;
 * 
 * Returns nothing
 */
-setAttrs = function (el, attrs) {
+function setAttrs(el, attrs) {
   for (var key in attrs) {
     el.setAttribute(key, attrs[key]);
   }
@@ -158,8 +448,8 @@ setAttrs = function (el, attrs) {
 * 
 * Returns a reference to the element.
 */
-buildEl = function (name, attrs, id) {
-  var el = document.createElementNS("http://www.w3.org/2000/svg", name);
+function buildEl(name, attrs, id) {
+  var el = document.createElementNS(svgNS, name);
   setAttrs(el, attrs);
 
   if (id !== undefined) el.setAttribute('id', id);
@@ -167,11 +457,26 @@ buildEl = function (name, attrs, id) {
   return el;
 }
 
-function Bar(image, id, name, startYr, endYr, category, colIdx) {
+function Bar(image, id, name, startYr, endYr, category, colIdx, dates) {
   this.image = image;
   this.id = id;
   this.colIdx = colIdx;
 
+  // How certain the years are (see parseYrSpan). Exact until update says otherwise.
+  this.startUncertainty = null;
+  this.endUncertainty = null;
+  this.endUnknown = false;
+  this.floruit = false;
+
+  // The column the bar is pinned to (see HistoryImage.pinBar), or null to let the layout choose
+  this.pinnedColIdx = null;
+
+  // The column the layout last put the bar in, or null if it hasn't been laid out yet
+  this.laidOutColIdx = null;
+
+  // The defs element holding the mask that fades out uncertain ends, if there are any (see drawFade)
+  this.fadeDefsEl = null;
+
   const bar = this;
 
   this.moveToCol = function(colIdx) {
@@ -179,494 +484,3834 @@ function Bar(image, id, name, startYr, endYr, category, colIdx) {
     this.colIdx = colIdx;
 
     // Update the location
-    var x = this.colIdx * colWidth;
-    var y = (indexYr - this.effectiveEndYr) * yrHeight;
+    var bounds = this.getBounds();
 
-    this.barGEl.setAttribute('transform', "translate(" + x + ", " + y + ")");
+    this.barGEl.setAttribute('transform', "translate(" + bounds.x + ", " + bounds.y + ")");
   }
 
   this.select = function() {
     this.bgRectEl.classList.add('selected-bar');
+    this.barGEl.setAttribute('aria-selected', 'true');
     this.image.figuresEl.appendChild(this.barGEl);
   }
 
   this.unselect = function() {
     this.bgRectEl.classList.remove('selected-bar');
+    this.barGEl.setAttribute('aria-selected', 'false');
   }
 
-  this.update = function (name, startYr, endYr, category) {
-    this.name = name;
-    this.startYr = startYr;
-    this.endYr = endYr;
-    this.category = category;
+  /*
+  * Gets how certain the bar's years are.
+  *
+  * Returns: An object with 'startUncertainty', 'endUncertainty', 'endUnknown' and 'floruit' (see parseYrSpan).
+  */
+  this.getDates = function() {
+    return {
+      'startUncertainty': this.startUncertainty,
+      'endUncertainty': this.endUncertainty,
+      'endUnknown': this.endUnknown,
+      'floruit': this.floruit
+    };
+  }
 
-    var cleanCategory = category.replace(/ /g, '_');
+  /*
+  * Works out the year the bar is drawn to, before any uncertainty in it.
+  *
+  * startYr: Required. The start year.
+  * endYr:   Required. The end year, or null.
+  *
+  * Returns: endYr if there is one. Otherwise, for a figure whose end isn't known, the latest the start could be
+  *          (the bar fades out from there), and for a figure still living, the current year.
+  */
+  this.getEffectiveEndYr = function(startYr, endYr) {
+    if (endYr !== null) {
+      return endYr;
+    }
+    if (this.endUnknown) {
+      return startYr + ((this.startUncertainty === null) ? 0 : this.startUncertainty.later);
+    }
 
-    this.image.checkCategories(cleanCategory);
+    return curYr;
+  }
 
-    // Handle an endYr of null representing "still alive"
-    if (endYr === undefined || endYr === null) {
-      this.effectiveEndYr = curYr;
-    } else {
-      this.effectiveEndYr = endYr;
+  /*
+  * Gets how uncertain the end of the bar is, as drawn.
+  * An unknown end is drawn as a fade over the unknownEndYrs after effectiveEndYr.
+  *
+  * Returns: null if the end is exact (or the figure is still living), otherwise an object with how many years
+  *          earlier ('earlier') and later ('later') than effectiveEndYr it could be.
+  */
+  this.getEndUncertainty = function() {
+    if (this.endYr === null) {
+      return this.endUnknown ? {'earlier': 0, 'later': unknownEndYrs, 'circa': false} : null;
     }
-  
-    // Determine the dimensions and location of the bar
-    var x = this.colIdx * colWidth;
-    var height = (this.effectiveEndYr - this.startYr) * yrHeight;
-    var y = (indexYr - this.effectiveEndYr) * yrHeight;
 
-    var oldCategory = this.barGEl.getAttribute('category');
+    return this.endUncertainty;
+  }
 
-    var barGAttrs = {
-      'startYr': this.startYr, 'endYr': this.endYr,
-      'effectiveEndYr': this.effectiveEndYr,
-      'colIdx': this.colIdx,
-      'category': this.category,
-      'transform': "translate(" + x + ", " + y + ")"
+  /*
+  * Gets the years the bar covers when drawn, which include any uncertainty in its start and end.
+  *
+  * startYr:        Optional. The start year to use instead of the bar's own (e.g. while it is being dragged).
+  * effectiveEndYr: Optional. The same for the effective end year.
+  *
+  * Returns: An object with the earliest ('startYr') and latest ('endYr') years drawn.
+  */
+  this.getSpan = function(startYr, effectiveEndYr) {
+    if (startYr === undefined) {
+      startYr = this.startYr;
+      effectiveEndYr = this.effectiveEndYr;
+    }
+
+    var endUncertainty = this.getEndUncertainty();
+    return {
+      'startYr': startYr - ((this.startUncertainty === null) ? 0 : this.startUncertainty.earlier),
+      'endYr': effectiveEndYr + ((endUncertainty === null) ? 0 : endUncertainty.later)
     };
-    setAttrs(this.barGEl, barGAttrs);
-    this.barGEl.classList.add('bar');
-    this.barGEl.classList.remove('category-' + oldCategory);
-    this.barGEl.classList.add('category-' + cleanCategory);
+  }
+
+  /*
+  * Checks whether the figure was alive (or for a floruit bar, active) during any of a range of years.
+  * An unknown end counts as the latest the start could be, as for getEffectiveEndYr.
+  *
+  * startYr: Required. The first year of the range.
+  * endYr:   Optional. The last year of the range. Defaults to startYr.
+  *
+  * Returns: True iff the figure's years overlap the range.
+  */
+  this.isAliveIn = function(startYr, endYr) {
+    if (endYr === undefined) {
+      endYr = startYr;
+    }
+
+    return this.startYr <= endYr && this.effectiveEndYr >= startYr;
+  }
+
+  /*
+  * Gets how old the figure was in a year.
+  *
+  * yr: Required. The year.
+  *
+  * Returns: The age in whole years, or null for a floruit bar, whose start isn't a birth.
+  */
+  this.getAgeAt = function(yr) {
+    if (this.floruit) {
+      return null;
+    }
+
+    return Math.floor(yr) - this.startYr;
+  }
+
+  /*
+  * Gets the area the bar covers, in the coordinates of the image's figure region.
+  *
+  * colIdx: Optional. The column to work out the area for. Defaults to the bar's own.
+  *
+  * Returns: An object with x, y, width and height properties.
+  */
+  this.getBounds = function(colIdx) {
+    if (colIdx === undefined) {
+      colIdx = this.colIdx;
+    }
+
+    var span = this.getSpan();
+    var length = (span.endYr - span.startYr) * this.image.yrHeight;
+
+    return this.image.placeRect(this.image.yrToPos(span.endYr), colIdx * colWidth, length, colWidth);
+  }
+
+  /*
+  * Positions and sizes the bar's elements to cover a span of years, plus any uncertainty in them.
+  * Normally this is the bar's own span, but it can differ while the bar is being dragged.
+  *
+  * startYr:        Required. The start year.
+  * effectiveEndYr: Required. The effective end year.
+  *
+  * Returns: Nothing.
+  */
+  this.drawSpan = function (startYr, effectiveEndYr) {
+    // Determine the dimensions and location of the bar
+    var span = this.getSpan(startYr, effectiveEndYr);
+    var length = (span.endYr - span.startYr) * this.image.yrHeight;
+    var bounds = this.image.placeRect(this.image.yrToPos(span.endYr), this.colIdx * colWidth, length, colWidth);
+
+    this.barGEl.setAttribute('transform', "translate(" + bounds.x + ", " + bounds.y + ")");
 
+    // The bar is drawn lying down, as it is in horizontal orientation. In vertical orientation, it is rotated to stand up.
     var halfWidth = colWidth / 2;
-    var halfHeight = height / 2;
-    var groupingTransforms = [
-      "translate(" + halfWidth + ", " + -halfHeight + ")",
-      "rotate(90)",
-      "translate(" + halfHeight + ", " + -halfWidth + ")"
-    ];
-    setAttrs(this.rotateGEl, {'transform': groupingTransforms.join(' ')});
+    var halfLength = length / 2;
+    if (this.image.orientation == 'vertical') {
+      var groupingTransforms = [
+        "translate(" + halfWidth + ", " + -halfLength + ")",
+        "rotate(90)",
+        "translate(" + halfLength + ", " + -halfWidth + ")"
+      ];
+      setAttrs(this.rotateGEl, {'transform': groupingTransforms.join(' ')});
+    } else {
+      this.rotateGEl.removeAttribute('transform');
+    }
 
     var bgRectAttrs = {
       'x': 0, 'y': 0,
-      'width': height, 'height': colWidth // Yes, this looks backwards, but that's because the rotate(90) transform is being applied
+      'width': length, 'height': colWidth
     };
     setAttrs(this.bgRectEl, bgRectAttrs);
-    this.bgRectEl.classList.add('bar');
-    this.bgRectEl.classList.remove('category-' + oldCategory);
-    this.bgRectEl.classList.add('category-' + cleanCategory);
-  
-    var textAttrs = {
-      'class': 'bar category-' + cleanCategory,
-      'x': halfHeight, 'y': halfWidth // Yes, this looks backwards, but that's because the rotate(90) transform is being applied
-    };
-    setAttrs(this.textEl, textAttrs);
-    this.textEl.classList.add('bar');
-    this.textEl.classList.remove('category-' + oldCategory);
-    this.textEl.classList.add('category-' + cleanCategory);
 
-    this.textEl.innerHTML = this.name;
+    this.fitLabel(length);
 
-    this.image.assignCols();
+    var startFadeLength = (startYr - span.startYr) * this.image.yrHeight;
+    if (this.startUncertainty !== null) {
+      startFadeLength += this.startUncertainty.later * this.image.yrHeight;
+    }
+    var endFadeLength = (span.endYr - effectiveEndYr) * this.image.yrHeight;
+    var endUncertainty = this.getEndUncertainty();
+    if (endUncertainty !== null) {
+      endFadeLength += endUncertainty.earlier * this.image.yrHeight;
+    }
+    this.drawFade(length, startFadeLength, endFadeLength);
   }
 
-  // Generate the "root" grouping element of the bar svg xml
-  this.barGEl = buildEl('g', {}, id);
+  /*
+  * Fits the figure's name into the bar. If it is too long, it is shrunk down to minLabelFontSize, then abbreviated
+  * (see abbreviateName), then cut short with an ellipsis. If even minLabelChars of it won't fit, the whole name is put
+  * just past the late end of the bar instead.
+  *
+  * length: Required. The length of the bar, in pixels.
+  *
+  * Side Effect: Sets the text, position and font size of the bar's text element.
+  *
+  * Returns: Nothing.
+  */
+  this.fitLabel = function (length) {
+    var textEl = this.textEl;
+    var available = length - 2 * labelPadding;
+    var minScale = minLabelFontSize / labelFontSize;
 
-  // Generate the grouping element used to apply the rotation tranformation
-  this.rotateGEl = buildEl('g', {});
-  this.barGEl.appendChild(this.rotateGEl);
+    var measure = function(text) {
+      textEl.textContent = text;
+      textEl.setAttribute('font-size', labelFontSize);
+      return measureTextWidth(textEl);
+    };
+    var place = function(text, fontSize, x) {
+      textEl.textContent = text;
+      setAttrs(textEl, {'x': x, 'y': colWidth / 2, 'font-size': fontSize});
+    };
 
-  // Generate the background rectangle element
-  this.bgRectEl = buildEl('rect', {});
-  this.rotateGEl.appendChild(this.bgRectEl);
+    textEl.classList.remove('outsideLabel');
 
-  // Add event handling to the background rectangle element
-  this.bgRectEl.onclick = function() {
-    var image = bar.image;
+    // Shrink the name, or its abbreviation, as far as it needs to fit
+    var candidates = [this.name, abbreviateName(this.name)];
+    for (var idx = 0; idx < candidates.length; idx++) {
+      var width = measure(candidates[idx]);
+      if (width * minScale <= available) {
+        place(candidates[idx], labelFontSize * Math.min(1, available / width), length / 2);
+        return;
+      }
+    }
 
-    var selected = image.getSelectedBar();
-    if (selected !== null) {
-      // If we've clicked on the selected bar, unselect it
-      if (selected == bar) {
-        image.selectBar(null);
+    // Cut the abbreviation short
+    var abbreviation = candidates[1];
+    for (var chars = abbreviation.length - 1; chars >= minLabelChars; chars--) {
+      var text = abbreviation.slice(0, chars).trim() + '\u2026';
+      if (measure(text) * minScale <= available) {
+        place(text, minLabelFontSize, length / 2);
         return;
       }
     }
-    image.selectBar(bar);
+
+    // Label the bar from outside, past its late end (which is at the start of the bar when it stands up)
+    var outsideWidth = measure(this.name) * minScale;
+    var outsideX = (this.image.orientation == 'vertical') ? -(labelPadding + outsideWidth / 2) : length + labelPadding + outsideWidth / 2;
+    place(this.name, minLabelFontSize, outsideX);
+    textEl.classList.add('outsideLabel');
   }
 
-  // Generate the text label element
-  this.textEl = buildEl('text', {});
-  this.rotateGEl.appendChild(this.textEl);
+  /*
+  * Hides the bar if its category is hidden or the image's filter hides it, and dims it if it doesn't match the filter.
+  *
+  * Side Effect: Sets the 'display' attribute and the 'filteredOut' class of the bar's element.
+  *
+  * Returns: Nothing.
+  */
+  this.drawVisibility = function() {
+    var hidden = this.image.isBarHidden(this);
+    if (hidden) {
+      this.barGEl.setAttribute('display', 'none');
+    } else {
+      this.barGEl.removeAttribute('display');
+    }
 
-  this.textEl.onclick = this.bgRectEl.onclick;
+    if (!hidden && !this.image.matchesFilter(this)) {
+      this.barGEl.classList.add('filteredOut');
+    } else {
+      this.barGEl.classList.remove('filteredOut');
+    }
+  }
 
-  this.image.figuresEl.appendChild(this.barGEl);
-  this.image.bars.push(this);
+  /*
+  * Describes the figure for the tooltip shown when hovering over the bar.
+  *
+  * Returns: The text, on several lines: the name, the years (with the age at death, or the age now for a figure still
+  *          living) and the category.
+  */
+  this.getTooltip = function() {
+    var yrs = years.formatStartYr(this.startYr, this) + "\u2013" + years.formatEndYr(this.endYr, this);
+    var age = null;
+    if (!this.floruit && !this.endUnknown) {
+      age = ((this.endYr === null) ? curYr : this.endYr) - this.startYr;
+    }
+    if (age !== null) {
+      var approx = this.startUncertainty !== null || (this.endYr !== null && this.endUncertainty !== null);
+      yrs += " (" + ((this.endYr === null) ? "age " : "aged ") + (approx ? "c. " : "") + age + ")";
+    }
 
-  this.update(name, startYr, endYr, category);
-}
+    return [this.name, yrs, this.category].join("\n");
+  }
+
+  /*
+  * Fades out the uncertain ends of the bar, by masking its background rectangle with a gradient that is clear at
+  * each uncertain end and solid where the years are certain.
+  *
+  * length:          Required. The length of the bar, in pixels.
+  * startFadeLength: Required. The length of the fade at the early end of the bar, in pixels. 0 for no fade.
+  * endFadeLength:   Required. The same for the late end of the bar.
+  *
+  * Side Effect: Adds, updates or removes the bar's fadeDefsEl.
+  *
+  * Returns: Nothing.
+  */
+  this.drawFade = function (length, startFadeLength, endFadeLength) {
+    if (startFadeLength == 0 && endFadeLength == 0) {
+      if (this.fadeDefsEl !== null) {
+        this.barGEl.removeChild(this.fadeDefsEl);
+        this.fadeDefsEl = null;
+        this.bgRectEl.removeAttribute('mask');
+      }
+      return;
+    }
+
+    if (this.fadeDefsEl === null) {
+      var gradientEl = buildEl('linearGradient', {'gradientUnits': 'userSpaceOnUse', 'x1': 0, 'y1': 0, 'y2': 0}, this.id + '-fadeGradient');
+      for (var stopIdx = 0; stopIdx < 4; stopIdx++) {
+        gradientEl.appendChild(buildEl('stop', {}));
+      }
+
+      var maskEl = buildEl('mask', {'maskUnits': 'userSpaceOnUse'}, this.id + '-fade');
+      maskEl.appendChild(buildEl('rect', {'fill': 'url(#' + this.id + '-fadeGradient)'}));
+
+      this.fadeDefsEl = buildEl('defs', {});
+      this.fadeDefsEl.appendChild(gradientEl);
+      this.fadeDefsEl.appendChild(maskEl);
+      this.barGEl.insertBefore(this.fadeDefsEl, this.rotateGEl);
+      this.bgRectEl.setAttribute('mask', 'url(#' + this.id + '-fade)');
+    }
+
+    // The mask covers the rectangle's stroke as well. Its coordinates are those of the rectangle, which is drawn
+    // lying down: the early end is at x = 0 in horizontal orientation, but the late end is in vertical orientation.
+    var maskArea = {'x': -2, 'y': -2, 'width': length + 4, 'height': colWidth + 4};
+    var maskEl = this.fadeDefsEl.lastChild;
+    setAttrs(maskEl, maskArea);
+    setAttrs(maskEl.firstChild, maskArea);
+
+    var lowFadeLength = (this.image.orientation == 'vertical') ? endFadeLength : startFadeLength;
+    var highFadeLength = (this.image.orientation == 'vertical') ? startFadeLength : endFadeLength;
+    var lowFadeEnd = Math.min(1, lowFadeLength / length);
+    var stops = [
+      {'offset': 0, 'stop-color': (lowFadeLength > 0) ? 'black' : 'white'},
+      {'offset': lowFadeEnd, 'stop-color': 'white'},
+      {'offset': Math.max(lowFadeEnd, 1 - highFadeLength / length), 'stop-color': 'white'},
+      {'offset': 1, 'stop-color': (highFadeLength > 0) ? 'black' : 'white'}
+    ];
+    var gradientEl = this.fadeDefsEl.firstChild;
+    gradientEl.setAttribute('x2', length);
+    stops.forEach(function(stopAttrs, stopIdx) {
+      setAttrs(gradientEl.childNodes[stopIdx], stopAttrs);
+    });
+  }
+
+  /*
+  * Determines what dragging the bar from a point would change.
+  *
+  * point: Required. The point, in figure region coordinates.
+  *
+  * Returns: 'end' near the late edge, 'start' near the early edge, or 'move' in between.
+  */
+  this.getDragMode = function (point) {
+    var pos = this.image.getPointPos(point);
+    var span = this.getSpan();
+    var endPos = this.image.yrToPos(span.endYr);
+    var length = (span.endYr - span.startYr) * this.image.yrHeight;
+    var edgeSize = Math.min(5, length / 4);
+
+    if (pos - endPos < edgeSize) {
+      return 'end';
+    } else if (endPos + length - pos < edgeSize) {
+      return 'start';
+    } else {
+      return 'move';
+    }
+  }
+
+  /*
+  * Changes the bar's details, and redraws it.
+  *
+  * name:     Required. The historical figure's name.
+  * startYr:  Required. The start year.
+  * endYr:    Required. The end year. Use null to represent still alive, or that the end isn't known.
+  * category: Required. Category.
+  * dates:    Optional. How certain the years are, as for parseYrSpan. Defaults to the bar's current ones. Uncertainty
+  *           is relative to the years, so it moves with them.
+  *
+  * Side Effect: Reassigns the columns of all bars, and calls the image's onchange(bar).
+  *
+  * Returns: Nothing.
+  */
+  this.update = function (name, startYr, endYr, category, dates) {
+    if (dates === undefined) {
+      dates = this.getDates();
+    }
+
+    this.name = name;
+    this.startYr = startYr;
+    this.endYr = endYr;
+    this.category = category;
+    this.startUncertainty = dates.startUncertainty;
+    this.endUncertainty = (endYr === null) ? null : dates.endUncertainty;
+    this.endUnknown = endYr === null && dates.endUnknown;
+    this.floruit = dates.floruit;
+
+    var cleanCategory = cleanCategoryName(category);
+
+    this.image.checkCategories(category);
+
+    // Handle an endYr of null representing "still alive", or an unknown end (which fades out after the start)
+    this.effectiveEndYr = this.getEffectiveEndYr(startYr, endYr);
+  
+    var oldCategory = this.barGEl.getAttribute('category');
+    var oldCategoryClass = 'category-' + cleanCategoryName(oldCategory || '');
+
+    var barGAttrs = {
+      'startYr': this.startYr, 'endYr': this.endYr,
+      'effectiveEndYr': this.effectiveEndYr,
+      'colIdx': this.colIdx,
+      'category': this.category
+    };
+    setAttrs(this.barGEl, barGAttrs);
+    this.barGEl.classList.add('bar');
+    this.barGEl.classList.remove(oldCategoryClass);
+    this.barGEl.classList.add('category-' + cleanCategory);
+
+    this.bgRectEl.classList.add('bar');
+    this.bgRectEl.classList.remove(oldCategoryClass);
+    this.bgRectEl.classList.add('category-' + cleanCategory);
+
+    // Bars spanning when the figure was active, rather than their whole life, have a dashed outline
+    if (this.floruit) {
+      this.bgRectEl.classList.add('floruit');
+    } else {
+      this.bgRectEl.classList.remove('floruit');
+    }
+
+    this.drawVisibility();
+  
+    this.textEl.setAttribute('class', 'bar category-' + cleanCategory);
+
+    this.drawSpan(this.startYr, this.effectiveEndYr);
+
+    this.titleEl.textContent = this.getTooltip();
+    this.barGEl.setAttribute('aria-label', this.getTooltip().split("\n").filter(function(line) { return line !== ""; }).join(", "));
+
+    this.image.assignCols();
+
+    wrapCall(this.image.onchange)(this);
+    if (this.created) {
+      this.image.emit('change', this);
+    }
+  }
+
+  // Generate the "root" grouping element of the bar svg xml. Screen readers treat it as an option the image's
+  // keyboard selection moves between (see HistoryImage.handleKey).
+  this.barGEl = buildEl('g', {'role': 'option', 'aria-selected': 'false'}, id);
+
+  // Generate the tooltip element
+  this.titleEl = buildEl('title', {});
+  this.barGEl.appendChild(this.titleEl);
+
+  // Generate the grouping element used to apply the rotation tranformation
+  this.rotateGEl = buildEl('g', {});
+  this.barGEl.appendChild(this.rotateGEl);
+
+  // Generate the background rectangle element
+  this.bgRectEl = buildEl('rect', {});
+  this.rotateGEl.appendChild(this.bgRectEl);
+
+  // Add event handling to the background rectangle element
+  this.bgRectEl.onclick = function(clickEvent) {
+    var image = bar.image;
+
+    // The mouse was released at the end of a drag, not clicked
+    if (image.suppressNextClick) {
+      image.suppressNextClick = false;
+      return;
+    }
+
+    // Ctrl-click toggles the bar in or out of the selection; shift-click adds it to the selection
+    if (clickEvent.ctrlKey || clickEvent.metaKey) {
+      image.toggleBarSelection(bar);
+      return;
+    }
+    if (clickEvent.shiftKey) {
+      image.addToSelection(bar);
+      return;
+    }
+
+    var selected = image.getSelectedBar();
+    if (selected !== null) {
+      // If we've clicked on the only selected bar, unselect it
+      if (selected == bar && image.selectedBars.length == 1) {
+        image.selectBar(null);
+        return;
+      }
+    }
+    image.selectBar(bar);
+  }
+
+  // Generate the text label element
+  this.textEl = buildEl('text', {});
+  this.rotateGEl.appendChild(this.textEl);
+
+  this.textEl.onclick = this.bgRectEl.onclick;
+
+  // Dragging the bar changes its years
+  this.bgRectEl.onmousedown = function(mouseEvent) {
+    bar.image.startBarDrag(bar, mouseEvent);
+  }
+  this.textEl.onmousedown = this.bgRectEl.onmousedown;
+
+  // Show where dragging would resize the bar rather than move it
+  this.bgRectEl.onmousemove = function(mouseEvent) {
+    var point = bar.image.clientToFigureCoords(mouseEvent.clientX, mouseEvent.clientY);
+    var resizeCursor = (bar.image.orientation == 'vertical') ? 'ns-resize' : 'ew-resize';
+    var cursor = (bar.getDragMode(point) == 'move') ? 'move' : resizeCursor;
+    bar.bgRectEl.style.cursor = cursor;
+    bar.textEl.style.cursor = cursor;
+  }
+  this.textEl.onmousemove = this.bgRectEl.onmousemove;
+
+  this.image.figuresEl.appendChild(this.barGEl);
+  this.image.bars.push(this);
+
+  // The first update is part of making the bar, rather than a change to it
+  this.created = false;
+  this.update(name, startYr, endYr, category, dates);
+  this.created = true;
+}
+
+function HistoryImage(width, height, parentEl) {
+
+  // Initialize member variables
+  
+  this.outerWidth = width;
+  this.outerHeight = height;
+  this.width = width - 1;
+  this.height = height - 1;
+
+  this.yrHeight = defaultYrHeight;
+
+  // 'vertical' (time runs down the image) or 'horizontal' (time runs left to right)
+  this.orientation = 'vertical';
+
+  this.bars = [];
+  this.relationships = []; // Objects with from, to, type and yr properties (see addRelationship)
+  this.highlightChain = false;
+  this.dimNonContemporaries = false;
+  this.filter = null; // Which bars to pick out (see setFilter)
+  this.events = []; // Objects with name, yr and category properties (see addEvent)
+  this.eras = []; // Objects with name, startYr, endYr and category properties (see addEra)
+  this.colCount = 0; // The number of columns the shown bars are packed into
+  this.layout = defaultLayout; // How the bars are arranged into columns (see layoutStrategies)
+  this.suppressNextClick = false;
+  this.selectedBars = [];
+  this.selectedBar = null; // The most recently selected of selectedBars
+  this.inertiaFrame = null; // The animation frame request keeping the image moving after a swipe (see startInertia)
+  this.barIdSeq = 0;
+  this.listeners = {}; // Arrays of functions, keyed by event type (see on)
+  this.eventsMuted = false; // Whether events are held back, while the image is changed only for a moment
+  this.destroyed = false;
+
+  // The ids of the image's elements all start with this, so that several images can share a page
+  imageCount++;
+  this.idPrefix = 'historyImage' + imageCount;
+
+  /*
+  * Gets the id of one of the image's elements.
+  *
+  * name: Required. The name of the element, e.g. 'legend'.
+  *
+  * Returns: The id, which is unique within the page.
+  */
+  this.getElId = function (name) {
+    return this.idPrefix + '-' + name;
+  }
+
+  // Methods for events
+
+  /*
+  * Adds a listener for one of the things that happen to the image:
+  *   'add':    A bar was added (or put back after being removed). Listeners are passed the bar.
+  *   'change': A bar's name, years or category changed. Listeners are passed the bar.
+  *   'remove': A bar was removed. Listeners are passed the bar.
+  *   'select': The selection changed. Listeners are passed selectedBar and the array of selected bars.
+  *   'scroll': The image was scrolled through time. Listeners are passed the new offset (see setOffset).
+  *   'resize': The image changed size. Listeners are passed its new outer width and height.
+  * These are as well as the single on... callbacks (e.g. onselect), which the page the image is in sets.
+  *
+  * type:     Required. One of imageEventTypes.
+  * listener: Required. The function to call.
+  *
+  * Returns: Nothing. Throws an error if the type isn't one of imageEventTypes.
+  */
+  this.on = function (type, listener) {
+    if (imageEventTypes.indexOf(type) == -1) {
+      throw new Error('Unknown image event "' + type + '"');
+    }
+
+    if (this.listeners[type] === undefined) {
+      this.listeners[type] = [];
+    }
+    this.listeners[type].push(listener);
+  }
+
+  /*
+  * Removes a listener added with on.
+  *
+  * type:     Required. The type it was added for.
+  * listener: Required. The function.
+  *
+  * Returns: Nothing.
+  */
+  this.off = function (type, listener) {
+    if (this.listeners[type] !== undefined) {
+      this.listeners[type] = this.listeners[type].filter(function(other) {
+        return other !== listener;
+      });
+    }
+  }
+
+  /*
+  * Calls the listeners for an event, unless events are muted.
+  *
+  * type: Required. One of imageEventTypes.
+  * Any further arguments are passed on to the listeners.
+  *
+  * Returns: Nothing.
+  */
+  this.emit = function (type) {
+    if (this.eventsMuted || this.listeners[type] === undefined) {
+      return;
+    }
+
+    var args = Array.prototype.slice.call(arguments, 1);
+    this.listeners[type].slice(0).forEach(function(listener) {
+      listener.apply(null, args);
+    });
+  }
+
+  // Methods for the time scale
+
+  /*
+  * Converts a year to a position along the time axis.
+  * Positions are measured back in time from the start of indexYr, so later years have smaller positions.
+  *
+  * yr: Required. The year. Fractions of a year are allowed.
+  *
+  * Returns: The position of the start of the year.
+  */
+  this.yrToPos = function (yr) {
+    return (indexYr - yr) * this.yrHeight;
+  }
+
+  /*
+  * Converts a position along the time axis to a year.
+  *
+  * pos: Required. The position, as returned by yrToPos.
+  *
+  * Returns: The year, including any fraction of a year.
+  */
+  this.posToYr = function (pos) {
+    return indexYr - pos / this.yrHeight;
+  }
+
+  // Methods for the orientation
+
+  /*
+  * Converts a point given relative to the time axis into x/y coordinates.
+  * In vertical orientation, time runs down the image (from the latest year at the top), and the cross axis runs right.
+  * In horizontal orientation, time runs left to right (to the latest year at the right), and the cross axis runs down.
+  *
+  * pos:   Required. The position along the time axis, as returned by yrToPos.
+  * cross: Required. The position across the time axis, e.g. of a column of bars.
+  *
+  * Returns: An object with x and y properties.
+  */
+  this.placePoint = function (pos, cross) {
+    if (this.orientation == 'vertical') {
+      return {'x': cross, 'y': pos};
+    }
+
+    return {'x': -pos, 'y': cross};
+  }
+
+  /*
+  * Converts a rectangle given relative to the time axis into x/y coordinates (see placePoint).
+  *
+  * pos:         Required. The position of the rectangle's latest edge along the time axis.
+  * cross:       Required. The position of its near edge across the time axis.
+  * length:      Required. Its length along the time axis.
+  * crossLength: Required. Its length across the time axis.
+  *
+  * Returns: An object with x, y, width and height properties.
+  */
+  this.placeRect = function (pos, cross, length, crossLength) {
+    if (this.orientation == 'vertical') {
+      return {'x': cross, 'y': pos, 'width': crossLength, 'height': length};
+    }
+
+    return {'x': -(pos + length), 'y': cross, 'width': length, 'height': crossLength};
+  }
+
+  /*
+  * Gets the position along the time axis of an x/y point (the reverse of placePoint).
+  *
+  * point: Required. An object with x and y properties.
+  *
+  * Returns: The position, as for yrToPos.
+  */
+  this.getPointPos = function (point) {
+    return (this.orientation == 'vertical') ? point.y : -point.x;
+  }
+
+  /*
+  * Gets the size of the image along the time axis: its height in vertical orientation, or its width in horizontal.
+  *
+  * Returns: The size, in pixels.
+  */
+  this.getTimeLength = function () {
+    return (this.orientation == 'vertical') ? this.height : this.width;
+  }
+
+  this.getCrossLength = function () {
+    return (this.orientation == 'vertical') ? this.width : this.height;
+  }
+
+  /*
+  * Gets the size of the time axis labels across the time axis.
+  *
+  * Returns: The size, in pixels.
+  */
+  this.getAxisSize = function () {
+    return (this.orientation == 'vertical') ? decadeWidth : axisHeight;
+  }
+
+  /*
+  * Changes which way time runs across the image.
+  * The image keeps its length along the time axis (so a tall vertical image becomes a wide horizontal one),
+  * and is sized across the time axis to fit the bars.
+  *
+  * orientation: Required. 'vertical' or 'horizontal'.
+  *
+  * Side Effect: Redraws the whole image and calls onorient(orientation).
+  *
+  * Returns: Nothing.
+  */
+  this.setOrientation = function (orientation) {
+    if (orientation == this.orientation) {
+      return;
+    }
+
+    this.orientation = orientation;
+
+    var regionCorner = this.placePoint(0, this.getAxisSize());
+    this.figureRegionEl.setAttribute('transform', 'translate(' + regionCorner.x + ', ' + regionCorner.y + ')');
+
+    this.updateSize(this.outerHeight, this.outerWidth);
+    this.bars.forEach(function(bar) {
+      bar.drawSpan(bar.startYr, bar.effectiveEndYr);
+    });
+    this.assignCols();
+    this.resetAxis();
+
+    wrapCall(this.onorient)(orientation);
+  }
+
+  /*
+  * Changes the time scale.
+  *
+  * yrHeight: Required. The new scale, in pixels per year. It is limited to between minYrHeight and maxYrHeight.
+  * anchor:   Optional. A position in the image whose year should stay where it is, measured back in time from
+  *           the image's top edge (vertical orientation) or right edge (horizontal orientation).
+  *           Defaults to the middle of the image.
+  *
+  * Side Effect: Redraws the bars and the axis, and adjusts the offset to keep the anchor year in place.
+  *
+  * Returns: Nothing.
+  */
+  this.setScale = function (yrHeight, anchor) {
+    yrHeight = Math.min(Math.max(yrHeight, minYrHeight), maxYrHeight);
+    if (anchor === undefined) {
+      anchor = this.getTimeLength() / 2;
+    }
+
+    var anchorYr = this.posToYr(anchor - this.getOffset());
+
+    this.yrHeight = yrHeight;
+
+    this.bars.forEach(function(bar) {
+      bar.drawSpan(bar.startYr, bar.effectiveEndYr);
+    });
+    this.drawFuture();
+    this.drawEras();
+    this.drawEvents();
+    this.drawRelationships();
+
+    this.setOffset(anchor - this.yrToPos(anchorYr));
+    this.resetAxis();
+  }
+
+  /*
+  * Zooms the time scale in or out.
+  *
+  * factor:  Required. How much to multiply the scale by. Greater than 1 zooms in.
+  * anchor: Optional. As for setScale.
+  *
+  * Returns: Nothing.
+  */
+  this.zoom = function (factor, anchor) {
+    this.setScale(this.yrHeight * factor, anchor);
+  }
+
+  /*
+  * Chooses the length of time each axis label covers at the current scale:
+  * the shortest of axisUnits whose label is at least minAxisLabelHeight tall (or minAxisLabelWidth wide, in
+  * horizontal orientation).
+  *
+  * Returns: The length of time, in years.
+  */
+  this.getAxisUnit = function () {
+    var minLength = (this.orientation == 'vertical') ? minAxisLabelHeight : minAxisLabelWidth;
+
+    for (var unitIdx = 0; unitIdx < axisUnits.length; unitIdx++) {
+      if (axisUnits[unitIdx] * this.yrHeight >= minLength) {
+        return axisUnits[unitIdx];
+      }
+    }
+
+    return axisUnits[axisUnits.length - 1];
+  }
+
+  // Methods for labels and other meta content
+
+  /*
+  * Generates the svg xml element tree used to render an axis label (e.g. for a decade).
+  * The element is _not_ added to any DOM by this function.
+  * 
+  * period: Required. The period for which we want a label, as returned by getPeriodForYr.
+  * unit:   Required. The length of the period, in years.
+  * 
+  * Returns: An svg xml element tree.
+  */
+  this.buildAxisLabelEl = function (period, unit) {
+    // The periods either side of year 0 are shorter than the others, so size the label by the years it covers.
+    // Don't let the label run off the top of the image, or its text won't be visible.
+    var span = years.getPeriodSpan(period, unit);
+    var endYr = Math.min(span.endYr, indexYr);
+    var length = (endYr - span.startYr) * this.yrHeight;
+
+    // Figure out where the label goes along the edge of the image
+    var bounds = this.placeRect(this.yrToPos(endYr), 0, length, this.getAxisSize());
+  
+    // Generate the "root" element of the label svg xml element tree
+    var labelAttrs = {
+      'transform': 'translate(' + bounds.x + ', ' + bounds.y + ')'
+    };
+    var labelEl = buildEl('g', labelAttrs);
+  
+    // Generate the border rectangle element
+    var rectAttrs = {
+      'class': 'axisLabel',
+      'x': 0, 'y': 0,
+      'width': bounds.width, 'height': bounds.height
+    };
+    var rectEl = buildEl('rect', rectAttrs);
+    labelEl.appendChild(rectEl);
+  
+    // Generate the text element
+    var textAttrs = {
+      'class': 'axisLabel',
+      'x': bounds.width / 2, 'y': bounds.height / 2
+    }
+    var textEl = buildEl('text', textAttrs);
+    textEl.textContent = years.formatPeriod(period, unit);
+    labelEl.appendChild(textEl);
+  
+    return labelEl;
+  }
+
+  /*
+  * Adds a boundary marker across the image at the start of a year, e.g. where a century begins.
+  * 
+  * Side Effect: Mutates the DOM of the element with id 'axisBoundaries'.
+  * 
+  * yr:        Required. The year at which the boundary is drawn.
+  * className: Required. The kind of boundary: 'axisBoundary' or 'millenniumBoundary'.
+  * 
+  * Returns: Nothing.
+  */
+  this.addBoundaryEl = function (yr, className) {
+    var pos = this.yrToPos(yr);
+    var from = this.placePoint(pos, 0);
+    var to = this.placePoint(pos, this.getCrossLength());
+  
+    var pathAttrs = {
+      'class': className,
+      'd': 'M ' + from.x + ' ' + from.y + ' L ' + to.x + ' ' + to.y,
+    };
+    var pathEl = buildEl('path', pathAttrs);
+    this.axisBoundariesEl.appendChild(pathEl);
+  }
+
+  /*
+  * "Scrolls" the image forward or backwards in time
+  *
+  * Side Effect: Updates the Y-transform of the decadeOffsetEl by "offsetDelta". It will not scroll forwards in time past the end of the current decade.
+  *
+  * offsetDelta: The relative amount to scroll the image. Negative is backwards in time. Positive is forwards in time.
+  *
+  * Returns: Nothing.
+  */
+  this.updateOffset = function (offsetDelta) {
+    this.setOffset(this.getOffset() + offsetDelta);
+  }
+
+  /*
+  * Gets how far the image is "scrolled" in time.
+  *
+  * Returns: The current offset, as set by setOffset.
+  */
+  this.getOffset = function () {
+    return parseFloat(this.decadeOffsetEl.getAttribute("offset"));
+  }
+
+  /*
+  * "Scrolls" the image to a specific point in time
+  *
+  * Side Effect: Updates the transform of the decadeOffsetEl to "offset". It will not scroll forwards in time past the end of the current decade.
+  *
+  * offset: The absolute amount to scroll the image. Negative is backwards in time. Positive is forwards in time.
+  *
+  * Returns: Nothing.
+  */
+  this.setOffset = function (offset) {
+    // Don't allow scrolling into the future
+    if (offset > 0) {
+      offset = 0;
+    }
+
+    // Update the offset for the whole image. In horizontal orientation, time positions are negative (see placePoint),
+    // so the latest year is moved to the right edge.
+    var oldOffset = this.getOffset();
+    var translate = (this.orientation == 'vertical') ? [0, offset] : [this.width - offset, 0];
+    this.decadeOffsetEl.setAttribute("offset", offset);
+    this.decadeOffsetEl.setAttribute("transform", "translate(" + translate.join(", ") + ")");
+
+    this.updateAxisLabels();
+    this.moveOverviewView();
+
+    if (offset != oldOffset) {
+      this.emit('scroll', offset);
+    }
+  }
+
+  /*
+  * Scrolls the image so that a year is in the middle of it, or as near as it can get.
+  *
+  * yr: Required. The year. Fractions of a year are allowed.
+  *
+  * Returns: Nothing.
+  */
+  this.goToYr = function (yr) {
+    this.setOffset(Math.round(this.getTimeLength() / 2 - this.yrToPos(yr)));
+  }
+
+  /*
+  * Scrolls the image for a wheel event, from a mouse wheel or a touchpad.
+  * In horizontal orientation, scrolling sideways on a touchpad scrolls through time too.
+  *
+  * wheelEvent: Required. The wheel event.
+  *
+  * Side Effect: Prevents the page scrolling instead, unless the image can't scroll any further.
+  *
+  * Returns: Nothing.
+  */
+  this.handleWheel = function (wheelEvent) {
+    var delta = -wheelEvent.deltaY;
+    if (this.orientation == 'horizontal' && Math.abs(wheelEvent.deltaX) > Math.abs(wheelEvent.deltaY)) {
+      delta = wheelEvent.deltaX;
+    }
+    if (wheelEvent.deltaMode == 1) {
+      delta *= wheelLineHeight;
+    } else if (wheelEvent.deltaMode == 2) {
+      delta *= this.getTimeLength();
+    }
+
+    this.stopInertia();
+    var oldOffset = this.getOffset();
+    this.updateOffset(Math.round(delta));
+    if (this.getOffset() != oldOffset) {
+      wheelEvent.preventDefault();
+    }
+  }
+
+  /*
+  * Gets the position of a pointer along the time axis of the screen, for working out how far it has been dragged.
+  *
+  * pointerEvent: Required. The pointer event.
+  *
+  * Returns: The position, in pixels. It increases as the pointer moves forwards in time.
+  */
+  this.getPointerTimePos = function (pointerEvent) {
+    return (this.orientation == 'vertical') ? pointerEvent.clientY : -pointerEvent.clientX;
+  }
+
+  /*
+  * Starts panning the image when a finger or pen is pressed on it, or the mouse is pressed with the middle button.
+  * A swipe keeps the image moving for a while after it is released (see startInertia).
+  *
+  * pointerEvent: Required. The pointerdown event.
+  *
+  * Returns: Nothing.
+  */
+  this.startPan = function (pointerEvent) {
+    var touch = pointerEvent.pointerType == 'touch' || pointerEvent.pointerType == 'pen';
+    if (!pointerEvent.isPrimary || (!touch && pointerEvent.button !== 1)) {
+      return;
+    }
+
+    this.stopInertia();
+    if (!touch) {
+      // Don't start the browser's own autoscrolling
+      pointerEvent.preventDefault();
+    }
+
+    var image = this;
+    var startPos = this.getPointerTimePos(pointerEvent);
+    var lastPos = startPos;
+    var panning = false;
+    var samples = []; // Recent positions, for the speed of a swipe
+
+    var onPointerMove = function(moveEvent) {
+      if (moveEvent.pointerId != pointerEvent.pointerId) {
+        return;
+      }
+
+      var pos = image.getPointerTimePos(moveEvent);
+      if (!panning && Math.abs(pos - startPos) < 3) {
+        return;
+      }
+      panning = true;
+
+      image.updateOffset(Math.round(pos - lastPos));
+      lastPos = pos;
+
+      samples.push({'time': moveEvent.timeStamp, 'pos': pos});
+      samples = samples.filter(function(sample) {
+        return moveEvent.timeStamp - sample.time <= 100;
+      });
+    };
+
+    var onPointerUp = function(upEvent) {
+      if (upEvent.pointerId != pointerEvent.pointerId) {
+        return;
+      }
+      window.removeEventListener('pointermove', onPointerMove);
+      window.removeEventListener('pointerup', onPointerUp);
+      window.removeEventListener('pointercancel', onPointerUp);
+
+      if (!panning || !touch || upEvent.type != 'pointerup' || samples.length < 2) {
+        return;
+      }
+      var first = samples[0];
+      var last = samples[samples.length - 1];
+      if (last.time > first.time) {
+        image.startInertia((last.pos - first.pos) / (last.time - first.time));
+      }
+    };
+
+    window.addEventListener('pointermove', onPointerMove);
+    window.addEventListener('pointerup', onPointerUp);
+    window.addEventListener('pointercancel', onPointerUp);
+  }
+
+  /*
+  * Keeps the image scrolling after a swipe, slowing down until it stops.
+  *
+  * speed: Required. The speed of the swipe, in pixels per millisecond. Positive is forwards in time.
+  *
+  * Side Effect: Sets inertiaFrame until the image stops, or stopInertia is called.
+  *
+  * Returns: Nothing.
+  */
+  this.startInertia = function (speed) {
+    this.stopInertia();
+
+    var image = this;
+    var lastTime = null;
+    var distance = 0; // Carried over between frames, as the offset is a whole number of pixels
+    var step = function(time) {
+      if (lastTime !== null) {
+        var elapsed = time - lastTime;
+        distance += speed * elapsed;
+        var move = Math.trunc(distance);
+        var oldOffset = image.getOffset();
+        image.updateOffset(move);
+        distance -= move;
+
+        // Stop once it is slow enough, or can't scroll any further
+        speed *= Math.pow(inertiaFriction, elapsed / 16);
+        if (Math.abs(speed) < minInertiaSpeed || (move != 0 && image.getOffset() == oldOffset)) {
+          image.inertiaFrame = null;
+          return;
+        }
+      }
+
+      lastTime = time;
+      image.inertiaFrame = window.requestAnimationFrame(step);
+    };
+    this.inertiaFrame = window.requestAnimationFrame(step);
+  }
+
+  /*
+  * Stops the image scrolling after a swipe (see startInertia), e.g. when it is touched again.
+  *
+  * Returns: Nothing.
+  */
+  this.stopInertia = function () {
+    if (this.inertiaFrame !== null) {
+      window.cancelAnimationFrame(this.inertiaFrame);
+      this.inertiaFrame = null;
+    }
+  }
+
+  // The marks of the part of the timeline in view, and the scales the overview was drawn at (see drawOverview)
+  this.minimapViewEl = null;
+  this.scrollbarThumbEl = null;
+  this.overviewScale = null;
+  this.overviewYrHeight = null;
+
+  // Methods for the overview
+
+  /*
+  * Gets the size of the overview across the time axis.
+  *
+  * Returns: The size, in pixels.
+  */
+  this.getOverviewSize = function () {
+    return minimapWidth + scrollbarWidth;
+  }
+
+  /*
+  * Works out how the overview fits the whole timeline into the length of the image.
+  *
+  * Returns: An object with the length along the time axis that the overview covers ('length'), from the end of the
+  *          current decade back to the earliest bar, event or era (or the end of the view, if that is further back),
+  *          and how much the overview shrinks it by ('scale').
+  */
+  this.getOverviewExtent = function () {
+    var earliestYr = indexYr;
+    this.bars.forEach(function(bar) {
+      if (!this.isBarHidden(bar)) {
+        earliestYr = Math.min(earliestYr, bar.getSpan().startYr);
+      }
+    }, this);
+    this.events.forEach(function(event) {
+      earliestYr = Math.min(earliestYr, event.yr);
+    });
+    this.eras.forEach(function(era) {
+      earliestYr = Math.min(earliestYr, era.startYr);
+    });
+
+    var length = Math.max(this.yrToPos(earliestYr), this.getTimeLength() - this.getOffset());
+    return {'length': length, 'scale': this.getTimeLength() / length};
+  }
+
+  /*
+  * Draws the overview: a minimap of all of the shown bars, and a scrollbar, both marking the part of the timeline
+  * that is in view. It sits at the end of the image across the time axis.
+  * It is drawn when the bars are laid out or the image is resized, and only the marks of the view move as the image
+  * scrolls (see moveOverviewView).
+  *
+  * Side Effect: Replaces the contents of the overview element.
+  *
+  * Returns: Nothing.
+  */
+  this.drawOverview = function () {
+    var overviewEl = this.overviewEl;
+    while (overviewEl.firstChild !== null) {
+      overviewEl.removeChild(overviewEl.firstChild);
+    }
+
+    // Time runs the same way as in the rest of the image, so in horizontal orientation, from the right edge
+    var timeLength = this.getTimeLength();
+    var cross = this.getCrossLength() - this.getOverviewSize();
+    var translate = (this.orientation == 'vertical') ? [cross, 0] : [timeLength, cross];
+    overviewEl.setAttribute('transform', 'translate(' + translate.join(', ') + ')');
+
+    var image = this;
+    var addRect = function(className, pos, rectCross, length, crossLength) {
+      var rectEl = buildEl('rect', {'class': className});
+      setAttrs(rectEl, image.placeRect(pos, rectCross, length, crossLength));
+      overviewEl.appendChild(rectEl);
+    };
+
+    var extent = this.getOverviewExtent();
+    this.overviewScale = extent.scale;
+    this.overviewYrHeight = this.yrHeight;
+
+    addRect('minimap', 0, 0, timeLength, minimapWidth);
+    var miniColWidth = Math.min(minimapMaxColWidth, minimapWidth / Math.max(this.colCount, 1));
+    this.bars.forEach(function(bar) {
+      if (this.isBarHidden(bar)) {
+        return;
+      }
+
+      var span = bar.getSpan();
+      var pos = this.yrToPos(span.endYr) * extent.scale;
+      var length = Math.max(1, (this.yrToPos(span.startYr) - this.yrToPos(span.endYr)) * extent.scale);
+      addRect('minimapBar category-' + cleanCategoryName(bar.category), pos, bar.colIdx * miniColWidth, length, miniColWidth);
+    }, this);
+    this.minimapViewEl = buildEl('rect', {'class': 'minimapView'});
+    overviewEl.appendChild(this.minimapViewEl);
+
+    addRect('scrollbar', 0, minimapWidth, timeLength, scrollbarWidth);
+    this.scrollbarThumbEl = buildEl('rect', {'class': 'scrollbarThumb'});
+    overviewEl.appendChild(this.scrollbarThumbEl);
+
+    this.moveOverviewView();
+  }
+
+  /*
+  * Moves the marks of the part of the timeline that is in view in the overview, e.g. after scrolling.
+  * The whole overview is drawn again if scrolling past the earliest bar changed how much it shrinks the timeline by,
+  * or the time scale changed.
+  *
+  * Side Effect: Moves the minimap's view and the scrollbar's thumb.
+  *
+  * Returns: Nothing.
+  */
+  this.moveOverviewView = function () {
+    if (this.minimapViewEl === null) {
+      return;
+    }
+
+    var extent = this.getOverviewExtent();
+    if (extent.scale != this.overviewScale || this.yrHeight != this.overviewYrHeight) {
+      this.drawOverview();
+      return;
+    }
+
+    var viewPos = -this.getOffset() * extent.scale;
+    var viewLength = this.getTimeLength() * extent.scale;
+    setAttrs(this.minimapViewEl, this.placeRect(viewPos, 0, viewLength, minimapWidth));
+    setAttrs(this.scrollbarThumbEl, this.placeRect(viewPos, minimapWidth, Math.max(viewLength, scrollbarWidth), scrollbarWidth));
+  }
+
+  /*
+  * Jumps to the part of the timeline under the pointer when the overview is pressed, and follows the pointer as it
+  * is dragged.
+  *
+  * pointerEvent: Required. The pointerdown event.
+  *
+  * Returns: Nothing.
+  */
+  this.startOverviewDrag = function (pointerEvent) {
+    // Keep the panning and rubber-band selection of the rest of the image out of it
+    pointerEvent.stopPropagation();
+    if (pointerEvent.button !== 0) {
+      return;
+    }
+    pointerEvent.preventDefault();
+    this.stopInertia();
+
+    // The overview could change scale as the view moves past the earliest figure, so keep to the scale it started at
+    var image = this;
+    var extent = this.getOverviewExtent();
+    var jump = function(event) {
+      var svgRect = image.svgEl.getBoundingClientRect();
+      var overviewPos = (image.orientation == 'vertical') ? event.clientY - svgRect.top : svgRect.left + image.width - event.clientX;
+      var pos = Math.min(Math.max(overviewPos / extent.scale, 0), extent.length);
+      image.goToYr(image.posToYr(pos));
+    };
+
+    var onPointerMove = function(moveEvent) {
+      if (moveEvent.pointerId == pointerEvent.pointerId) {
+        jump(moveEvent);
+      }
+    };
+    var onPointerUp = function(upEvent) {
+      if (upEvent.pointerId != pointerEvent.pointerId) {
+        return;
+      }
+      window.removeEventListener('pointermove', onPointerMove);
+      window.removeEventListener('pointerup', onPointerUp);
+      window.removeEventListener('pointercancel', onPointerUp);
+    };
+
+    jump(pointerEvent);
+    window.addEventListener('pointermove', onPointerMove);
+    window.addEventListener('pointerup', onPointerUp);
+    window.addEventListener('pointercancel', onPointerUp);
+  }
+
+  /*
+  * Generates new axis labels, as needed
+  *
+  * Side Effect: Adds new axis labels and boundary markers to the DOM
+  *
+  * Returns: Nothing.
+  */
+  this.updateAxisLabels = function() {
+    var unit = parseInt(this.axisLabelsEl.getAttribute('unit'));
+
+    // Determine the startPeriod (aka. the furthest period back in history that is visible on the image)
+    var visiblePos = this.getTimeLength() - this.getOffset();
+    var earliestYr = Math.floor(this.posToYr(visiblePos));
+    var endPeriod = parseInt(this.axisLabelsEl.getAttribute('end'));
+    var startPeriod = years.getPeriodForYr(earliestYr, unit);
+
+    // Determine the previous start period (The furthest period back in history that already has a label)
+    if (this.axisLabelsEl.getAttribute('start') === null) {
+      // If no previous start period is set, we want to generate all periods up to and including the endPeriod
+      var prevStartPeriod = endPeriod + 1;
+    } else {
+      var prevStartPeriod = parseInt(this.axisLabelsEl.getAttribute('start'));
+    }
+
+    // Generate all axis labels and add them to the DOM
+    for (var period = startPeriod; period < prevStartPeriod; period++) {
+      var labelEl = this.buildAxisLabelEl(period, unit);
+  
+      this.axisLabelsEl.appendChild(labelEl);
+
+      // Mark where the next larger period (e.g. a century, for decade labels) begins, and where millennia begin
+      var periodStartYr = years.getPeriodSpan(period, unit).startYr;
+      if (years.startsPeriod(periodStartYr, unit * 10)) {
+        this.addBoundaryEl(periodStartYr, 'axisBoundary');
+      }
+      if (years.startsPeriod(periodStartYr, 1000)) {
+        this.addBoundaryEl(periodStartYr, 'millenniumBoundary');
+      }
+    }
+
+    // Update the record of the previous start period
+    this.axisLabelsEl.setAttribute('start', Math.min(startPeriod, prevStartPeriod));
+  }
+
+  /*
+  * Replaces all the axis labels, e.g. after the time scale changes.
+  * 
+  * Side Effect: Mutates the DOM of the elements with ids 'axisLabels' and 'axisBoundaries'.
+  * 
+  * Returns: Nothing.
+  */
+  this.resetAxis = function () {
+    var unit = this.getAxisUnit();
+
+    // Clear existing labels
+    var oldAxisLabelsEl = this.axisLabelsEl;
+    this.axisLabelsEl = buildEl('g', {'unit': unit, 'end': years.getPeriodForYr(indexYr - 1, unit)}, this.getElId('axisLabels'));
+    this.decadeOffsetEl.replaceChild(this.axisLabelsEl, oldAxisLabelsEl);
+
+    // Clear existing boundaries
+    var oldAxisBoundariesEl = this.axisBoundariesEl;
+    this.axisBoundariesEl = buildEl('g', {}, this.getElId('axisBoundaries'));
+    this.decadeOffsetEl.replaceChild(this.axisBoundariesEl, oldAxisBoundariesEl);
+
+    // Generate visible axis labels
+    this.updateAxisLabels();
+  }
+
+  // Methods to manipulate figure bars
+
+  // How many calls of batchLayout are running, and whether the bars need laying out once they have finished
+  this.layoutBatchDepth = 0;
+  this.layoutPending = false;
+
+  /*
+  * Runs a function that adds, changes or removes many bars, laying out the bars once afterwards rather than after each
+  * bar. Batches within batches just become part of the outer batch.
+  *
+  * func: Required. The function.
+  *
+  * Side Effect: Reassigns the columns of all bars, if func changed any.
+  *
+  * Returns: Whatever func returns.
+  */
+  this.batchLayout = function(func) {
+    this.layoutBatchDepth++;
+    try {
+      return func();
+    } finally {
+      this.layoutBatchDepth--;
+      if (this.layoutBatchDepth == 0 && this.layoutPending) {
+        this.layoutPending = false;
+        this.assignCols();
+      }
+    }
+  }
+
+  /*
+  * Assigns appropriate column indices to each bar element, using the image's layout strategy (see layoutStrategies).
+  * 
+  * Side Effect: Reassigns 'colIdx' and 'transform' attributes on each bar element. Resizes the image to accomodate the number of columns,
+  *              and redraws the swimlanes.
+  *
+  * Returns: Nothing
+  */
+  this.assignCols = function() {
+    // Within batchLayout, the bars are laid out once at the end instead
+    if (this.layoutBatchDepth > 0) {
+      this.layoutPending = true;
+      return;
+    }
+
+    this.bars.sort(function(a, b) {
+      var aSpan = a.getSpan();
+      var bSpan = b.getSpan();
+      var endYrDiff = bSpan.endYr - aSpan.endYr;
+      if (endYrDiff == 0) {
+        return bSpan.startYr - aSpan.startYr;
+      } else {
+        return endYrDiff;
+      }
+    });
+
+    // Hidden bars don't take up any room, unless the filter leaves gaps where they were
+    var image = this;
+    var shownBars = this.bars.filter(function(bar) {
+      return image.isBarLaidOut(bar);
+    });
+    var packing = this.layoutBars(shownBars, this.getShownCategories());
+    shownBars.forEach(function(bar, idx) {
+      bar.moveToCol(packing.colIdxs[idx]);
+      bar.laidOutColIdx = packing.colIdxs[idx];
+    });
+    this.colCount = packing.colCount;
+    this.drawLanes(shownBars, packing.lanes);
+
+    // Resize the image across the time axis to fit all of the columns plus a blank column, the legend and the overview
+    var crossLength = this.getCrossLengthFor(packing.colCount, this.getShownCategories(), this.getShownMarkerCategories()) +
+                      this.getOverviewSize();
+    if (this.orientation == 'vertical') {
+      this.updateSize(crossLength, this.outerHeight);
+    } else {
+      this.updateSize(this.outerWidth, crossLength);
+    }
+    this.drawLegend();
+
+    // Re-route the relationships between the bars that moved
+    this.drawRelationships();
+    this.drawDimming();
+    this.drawDescription();
+
+    // Move the selected bars (if any) to the foreground
+    this.selectedBars.forEach(function(bar) {
+      this.figuresEl.appendChild(bar.barGEl);
+    }, this);
+  }
+
+  /*
+  * Arranges bars into columns using the image's layout strategy, without moving them.
+  *
+  * bars:       Required. The bars, sorted latest first.
+  * categories: Required. The categories the bars are shown in, in order.
+  *
+  * Returns: An object with the column for each bar ('colIdxs', in the same order as 'bars'), the number of columns
+  *          ('colCount') and the swimlanes ('lanes', see layoutStrategies).
+  */
+  this.layoutBars = function(bars, categories) {
+    var packing = layoutStrategies[this.layout].layout(bars, categories);
+    if (packing.lanes === undefined) {
+      packing.lanes = [];
+    }
+
+    return packing;
+  }
+
+  /*
+  * Changes how bars are arranged into columns.
+  *
+  * layout: Required. The layout strategy id (see layoutStrategies).
+  *
+  * Side Effect: Reassigns the columns and calls onlayout(layout).
+  *
+  * Returns: Nothing.
+  */
+  this.setLayout = function(layout) {
+    if (layout == this.layout) {
+      return;
+    }
+
+    this.layout = layout;
+    this.assignCols();
+
+    wrapCall(this.onlayout)(layout);
+  }
+
+  /*
+  * Pins a bar to a column, so that every layout puts it there, or unpins it.
+  *
+  * bar:    Required. The bar.
+  * colIdx: Required. The column to pin it to, counting from 0 (from the start of its swimlane in the category layout).
+  *         Use null to unpin it.
+  *
+  * Side Effect: Reassigns the columns and calls onchange(bar).
+  *
+  * Returns: Nothing.
+  */
+  this.pinBar = function(bar, colIdx) {
+    bar.pinnedColIdx = colIdx;
+    this.assignCols();
+
+    wrapCall(this.onchange)(bar);
+  }
+
+  /*
+  * Generates the svg xml element tree for the swimlanes of the category layout: a label at the latest end of each one,
+  * and a line between each one and the next. The element is _not_ added to any DOM by this function.
+  *
+  * bars:  Required. The bars laid out in the swimlanes, which the lines run the length of.
+  * lanes: Required. The swimlanes (see layoutStrategies).
+  *
+  * Returns: An svg xml element tree.
+  */
+  this.buildLanesEl = function(bars, lanes) {
+    var lanesEl = buildEl('g', {'class': 'lanes'}, this.getElId('lanes'));
+
+    var earliestYr = bars.reduce(function(earliest, bar) {
+      return Math.min(earliest, bar.getSpan().startYr);
+    }, curYr);
+    var vertical = this.orientation == 'vertical';
+
+    lanes.forEach(function(lane, idx) {
+      var cross = lane.colIdx * colWidth;
+      if (idx > 0) {
+        var from = this.placePoint(0, cross);
+        var to = this.placePoint(this.yrToPos(earliestYr), cross);
+        lanesEl.appendChild(buildEl('path', {
+          'class': 'laneBoundary',
+          'd': 'M ' + from.x + ' ' + from.y + ' L ' + to.x + ' ' + to.y
+        }));
+      }
+
+      // Labels run along the time axis, like the bars' names
+      var point = this.placePoint(4, cross + colWidth / 2);
+      var textEl = buildEl('text', {'class': 'lane', 'x': point.x, 'y': point.y});
+      if (vertical) {
+        textEl.setAttribute('transform', 'rotate(90, ' + point.x + ', ' + point.y + ')');
+      } else {
+        textEl.setAttribute('text-anchor', 'end');
+      }
+      textEl.textContent = lane.category;
+      lanesEl.appendChild(textEl);
+    }, this);
+
+    return lanesEl;
+  }
+
+  /*
+  * Redraws the swimlanes.
+  *
+  * bars:  Required. The bars laid out in the swimlanes.
+  * lanes: Required. The swimlanes (see layoutStrategies). There are none outside the category layout.
+  *
+  * Side Effect: Replaces the element with id 'lanes'.
+  *
+  * Returns: Nothing.
+  */
+  this.drawLanes = function(bars, lanes) {
+    var newLanesEl = this.buildLanesEl(bars, lanes);
+    this.figureRegionEl.replaceChild(newLanesEl, this.lanesEl);
+    this.lanesEl = newLanesEl;
+  }
+
+  this.getSelectedBar = function() {
+    return this.selectedBar;
+  }
+
+  this.getSelectedBars = function() {
+    return this.selectedBars.slice(0);
+  }
+
+  /*
+  * Selects a single bar, unselecting any others.
+  *
+  * bar: Required. The bar to select. Use null to unselect everything.
+  *
+  * Returns: Nothing.
+  */
+  this.selectBar = function(bar) {
+    this.selectBars(bar === null ? [] : [bar]);
+  }
+
+  /*
+  * Replaces the selection.
+  *
+  * bars:    Required. The bars to select.
+  * primary: Optional. Which of the bars becomes selectedBar. Defaults to the last one.
+  *
+  * Side Effect: Highlights the selected bars and calls onselect(selectedBar, selectedBars).
+  *
+  * Returns: Nothing.
+  */
+  this.selectBars = function(bars, primary) {
+    this.selectedBars.forEach(function(bar) {
+      if (bars.indexOf(bar) == -1) {
+        bar.unselect();
+      }
+    });
+
+    bars.forEach(function(bar) {
+      bar.select();
+    });
+
+    this.selectedBars = bars.slice(0);
+    if (primary === undefined) {
+      primary = (bars.length > 0) ? bars[bars.length - 1] : null;
+    }
+    this.selectedBar = primary;
+
+    // Screen readers follow the selected bar while the image has the keyboard focus
+    if (primary === null) {
+      this.svgEl.removeAttribute('aria-activedescendant');
+    } else {
+      this.svgEl.setAttribute('aria-activedescendant', primary.id);
+    }
+
+    // The highlighted relationship chain, and who is dimmed, follow the selected bar
+    this.drawRelationships();
+    this.drawDimming();
+
+    wrapCall(this.onselect)(this.selectedBar, this.getSelectedBars());
+    this.emit('select', this.selectedBar, this.getSelectedBars());
+  }
+
+  /*
+  * Adds a bar to the selection, or removes it if it is already selected.
+  *
+  * bar: Required. The bar.
+  *
+  * Returns: Nothing.
+  */
+  this.toggleBarSelection = function(bar) {
+    if (this.selectedBars.indexOf(bar) > -1) {
+      var remaining = this.selectedBars.filter(function(selected) { return selected != bar; });
+      var primary = (this.selectedBar == bar) ? undefined : this.selectedBar;
+      this.selectBars(remaining, primary);
+    } else {
+      this.addToSelection(bar);
+    }
+  }
+
+  this.addToSelection = function(bar) {
+    if (this.selectedBars.indexOf(bar) == -1) {
+      this.selectBars(this.selectedBars.concat([bar]), bar);
+    } else {
+      this.selectBars(this.selectedBars, bar);
+    }
+  }
+
+  // Methods for the keyboard
+
+  /*
+  * Handles a key pressed while the image has the keyboard focus.
+  *   Arrow keys:         Select the neighbouring bar along the time axis (in the same column) or across it (in the
+  *                       next column, nearest in time). With shift, the bar is added to the selection.
+  *   Tab, shift+tab:     Select the next or previous bar in time order, leaving the image after the last or first one.
+  *   Enter:              Calls oneditbar(selectedBar).
+  *   Delete, backspace:  Calls onremovebars(selectedBars). If there's no onremovebars, the bars are removed directly.
+  *   Escape:             Unselects everything.
+  *   Page up, page down: Scrolls forwards or backwards in time by most of the image.
+  *
+  * keyEvent: Required. The keydown event.
+  *
+  * Returns: Nothing.
+  */
+  this.handleKey = function(keyEvent) {
+    if (keyEvent.ctrlKey || keyEvent.metaKey || keyEvent.altKey) {
+      return;
+    }
+
+    var bar = this.selectedBar;
+    var moves = (this.orientation == 'vertical') ?
+      {'ArrowUp': 'later', 'ArrowDown': 'earlier', 'ArrowLeft': 'back', 'ArrowRight': 'forward'} :
+      {'ArrowLeft': 'earlier', 'ArrowRight': 'later', 'ArrowUp': 'back', 'ArrowDown': 'forward'};
+
+    var next;
+    if (moves[keyEvent.key] !== undefined) {
+      next = (bar === null) ? this.getFirstBarInView() : this.getNeighbouringBar(bar, moves[keyEvent.key]);
+    } else if (keyEvent.key == 'Tab') {
+      var ordered = this.getBarsInTimeOrder();
+      var idx = ordered.indexOf(bar);
+      if (idx == -1) {
+        idx = keyEvent.shiftKey ? ordered.length : -1;
+      }
+      next = ordered[idx + (keyEvent.shiftKey ? -1 : 1)];
+      if (next === undefined) {
+        // Let the focus move on from the image
+        return;
+      }
+    } else if (keyEvent.key == 'Enter') {
+      if (bar !== null) {
+        wrapCall(this.oneditbar)(bar);
+      }
+    } else if (keyEvent.key == 'Delete' || keyEvent.key == 'Backspace') {
+      var bars = this.getSelectedBars();
+      if (this.onremovebars !== undefined && this.onremovebars !== null) {
+        this.onremovebars(bars);
+      } else {
+        bars.forEach(function(selected) {
+          this.removeBar(selected);
+        }, this);
+      }
+    } else if (keyEvent.key == 'Escape') {
+      this.selectBar(null);
+    } else if (keyEvent.key == 'PageUp' || keyEvent.key == 'PageDown') {
+      var page = Math.round(this.getTimeLength() * keyboardPageFraction);
+      this.updateOffset((keyEvent.key == 'PageUp') ? page : -page);
+    } else {
+      return;
+    }
+    keyEvent.preventDefault();
+
+    if (next === null || next === undefined) {
+      return;
+    }
+    if (keyEvent.shiftKey && keyEvent.key != 'Tab') {
+      this.addToSelection(next);
+    } else {
+      this.selectBar(next);
+    }
+    this.revealBar(next);
+  }
+
+  /*
+  * Gets the bars that are shown, from the earliest to the latest, for stepping through them with the keyboard.
+  *
+  * Returns: An array of bars, in order of their start years (then their columns).
+  */
+  this.getBarsInTimeOrder = function() {
+    return this.bars.filter(function(bar) {
+      return !this.isBarHidden(bar);
+    }, this).sort(function(a, b) {
+      return (a.getSpan().startYr - b.getSpan().startYr) || (a.colIdx - b.colIdx);
+    });
+  }
+
+  /*
+  * Finds the bar next to another one, for moving the selection with the keyboard.
+  *
+  * bar:       Required. The bar to move from.
+  * direction: Required. 'earlier' or 'later' for the nearest bar that way in the same column, or 'back' or 'forward'
+  *            for a bar in the nearest column that way that has one, the one nearest in time to the bar.
+  *
+  * Returns: The bar, or null if there isn't one that way.
+  */
+  this.getNeighbouringBar = function(bar, direction) {
+    var span = bar.getSpan();
+    var midYr = (span.startYr + span.endYr) / 2;
+
+    var best = null;
+    var bestDistance = null;
+    this.bars.forEach(function(other) {
+      if (other === bar || this.isBarHidden(other)) {
+        return;
+      }
+
+      var otherSpan = other.getSpan();
+      var distance;
+      if (direction == 'earlier' || direction == 'later') {
+        var yrs = (direction == 'earlier') ? span.startYr - otherSpan.startYr : otherSpan.startYr - span.startYr;
+        if (other.colIdx != bar.colIdx || yrs <= 0) {
+          return;
+        }
+        distance = [yrs, 0];
+      } else {
+        var cols = (direction == 'back') ? bar.colIdx - other.colIdx : other.colIdx - bar.colIdx;
+        if (cols <= 0) {
+          return;
+        }
+        distance = [cols, Math.abs((otherSpan.startYr + otherSpan.endYr) / 2 - midYr)];
+      }
+
+      if (bestDistance === null || distance[0] < bestDistance[0] ||
+          (distance[0] == bestDistance[0] && distance[1] < bestDistance[1])) {
+        best = other;
+        bestDistance = distance;
+      }
+    }, this);
+
+    return best;
+  }
+
+  /*
+  * Checks whether any of a bar is within the part of the image that is scrolled into view.
+  *
+  * bar: Required. The bar.
+  *
+  * Returns: true if it is, false if not.
+  */
+  this.isBarInView = function(bar) {
+    var span = bar.getSpan();
+    var viewStartPos = -this.getOffset();
+    return this.yrToPos(span.endYr) < viewStartPos + this.getTimeLength() && this.yrToPos(span.startYr) > viewStartPos;
+  }
+
+  /*
+  * Gets the earliest bar in view, for where the keyboard selection starts.
+  *
+  * Returns: The bar, or the earliest bar if none are in view, or null if no bars are shown.
+  */
+  this.getFirstBarInView = function() {
+    var ordered = this.getBarsInTimeOrder();
+    var inView = ordered.filter(function(bar) {
+      return this.isBarInView(bar);
+    }, this);
+
+    return (inView.length > 0) ? inView[0] : (ordered.length > 0 ? ordered[0] : null);
+  }
+
+  /*
+  * Scrolls a bar into view, if none of it is in view already.
+  *
+  * bar: Required. The bar.
+  *
+  * Returns: Nothing.
+  */
+  this.revealBar = function(bar) {
+    if (!this.isBarInView(bar)) {
+      this.scrollToBar(bar);
+    }
+  }
+
+  /*
+  * Describes the image for screen readers.
+  *
+  * bars: Optional. The bars to describe. Defaults to the ones shown.
+  *
+  * Returns: The text, e.g. "Timeline of 12 figures, from 384 BC to 1750".
+  */
+  this.getDescription = function(bars) {
+    if (bars === undefined) {
+      bars = this.bars.filter(function(bar) {
+        return !this.isBarHidden(bar);
+      }, this);
+    }
+    if (bars.length == 0) {
+      return "Timeline of no figures";
+    }
+
+    var spans = bars.map(function(bar) { return bar.getSpan(); });
+    var startYr = Math.min.apply(null, spans.map(function(span) { return span.startYr; }));
+    var endYr = Math.max.apply(null, spans.map(function(span) { return span.endYr; }));
+
+    return "Timeline of " + bars.length + ((bars.length == 1) ? " figure" : " figures") +
+      ", from " + years.formatYr(startYr) + " to " + years.formatYr(Math.min(endYr, curYr));
+  }
+
+  /*
+  * Updates the description of the image for screen readers, after the bars shown change.
+  *
+  * Side Effect: Sets the image's aria-label and title.
+  *
+  * Returns: Nothing.
+  */
+  this.drawDescription = function() {
+    var description = this.getDescription();
+    this.svgEl.setAttribute('aria-label', description);
+    this.svgTitleEl.textContent = description;
+  }
+
+  /*
+  * Finds the bars that overlap a rectangle.
+  *
+  * x1, y1, x2, y2: Required. Opposite corners of the rectangle, in figure region coordinates.
+  *
+  * Returns: An array of bars.
+  */
+  this.getBarsInRect = function(x1, y1, x2, y2) {
+    var left = Math.min(x1, x2);
+    var right = Math.max(x1, x2);
+    var top = Math.min(y1, y2);
+    var bottom = Math.max(y1, y2);
+
+    var image = this;
+    return this.bars.filter(function(bar) {
+      if (image.isBarHidden(bar)) {
+        return false;
+      }
+
+      var bounds = bar.getBounds();
+      return bounds.x < right && bounds.x + bounds.width > left &&
+             bounds.y < bottom && bounds.y + bounds.height > top;
+    });
+  }
+
+  /*
+  * Converts a position on the screen (e.g. from a mouse event) to figure region coordinates.
+  *
+  * clientX: Required. The horizontal position, relative to the browser window.
+  * clientY: Required. The vertical position, relative to the browser window.
+  *
+  * Returns: An object with x and y properties.
+  */
+  this.clientToFigureCoords = function(clientX, clientY) {
+    var svgRect = this.svgEl.getBoundingClientRect();
+    var x = clientX - svgRect.left;
+    var y = clientY - svgRect.top;
+
+    if (this.orientation == 'vertical') {
+      return {'x': x - decadeWidth, 'y': y - this.getOffset()};
+    }
+
+    return {'x': x - (this.width - this.getOffset()), 'y': y - axisHeight};
+  }
+
+  /*
+  * Starts dragging a bar when the mouse is pressed on it.
+  * Dragging the late or early edge changes the end or start year; dragging the middle shifts the whole lifespan.
+  * Years snap to whole years, and the year(s) being set are shown next to the bar while dragging.
+  * Pressing escape cancels the drag.
+  *
+  * bar:        Required. The bar.
+  * mouseEvent: Required. The mousedown event.
+  *
+  * Side Effect: Calls ondragbar(bar, startYr, endYr, finished) as the years change (finished is false) and when
+  *              the mouse is released (finished is true). If there's no ondragbar, the bar is updated directly on release.
+  *
+  * Returns: Nothing.
+  */
+  this.startBarDrag = function(bar, mouseEvent) {
+    this.suppressNextClick = false;
+
+    // Modified clicks are for selecting
+    if (mouseEvent.button !== 0 || mouseEvent.shiftKey || mouseEvent.ctrlKey || mouseEvent.metaKey) {
+      return;
+    }
+
+    mouseEvent.preventDefault();
+
+    var image = this;
+    var startPoint = this.clientToFigureCoords(mouseEvent.clientX, mouseEvent.clientY);
+    var startPos = this.getPointPos(startPoint);
+    var mode = bar.getDragMode(startPoint);
+    var dragging = false;
+
+    var newStartYr = bar.startYr;
+    var newEndYr = bar.endYr;
+
+    var readoutEl = buildEl('text', {'class': 'dragReadout'});
+
+    var onMouseMove = function(moveEvent) {
+      var pos = image.getPointPos(image.clientToFigureCoords(moveEvent.clientX, moveEvent.clientY));
+      if (!dragging && Math.abs(pos - startPos) < 3) {
+        return;
+      }
+      if (!dragging) {
+        dragging = true;
+        image.figureRegionEl.appendChild(readoutEl);
+      }
+
+      // Moving further along the time axis goes back in time
+      var yrs = Math.round((startPos - pos) / image.yrHeight);
+
+      newStartYr = bar.startYr;
+      newEndYr = bar.endYr;
+      if (mode == 'start') {
+        newStartYr = Math.min(bar.startYr + yrs, bar.endUnknown ? curYr : bar.effectiveEndYr);
+      } else if (mode == 'end') {
+        var effectiveEndYr = Math.max(bar.startYr, Math.min(bar.effectiveEndYr + yrs, curYr));
+        // Someone still alive stays alive unless their end is dragged into the past
+        newEndYr = (bar.endYr === null && effectiveEndYr == curYr) ? null : effectiveEndYr;
+      } else if (bar.endYr === null) {
+        newStartYr = Math.min(bar.startYr + yrs, curYr);
+      } else {
+        yrs = Math.min(yrs, curYr - bar.endYr);
+        newStartYr = bar.startYr + yrs;
+        newEndYr = bar.endYr + yrs;
+      }
+
+      var newEffectiveEndYr = bar.getEffectiveEndYr(newStartYr, newEndYr);
+      bar.drawSpan(newStartYr, newEffectiveEndYr);
+
+      // Show the year(s) being set beside the bar (below it, in horizontal orientation, clear of the text's height)
+      var readoutYr = (mode == 'start') ? newStartYr : newEffectiveEndYr;
+      var readoutText = (mode == 'move') ? years.formatYr(newStartYr) + "\u2013" + (newEndYr === null ? "" : years.formatYr(newEndYr)) : years.formatYr(readoutYr);
+      var readoutGap = (image.orientation == 'vertical') ? 4 : 10;
+      setAttrs(readoutEl, image.placePoint(image.yrToPos(readoutYr), (bar.colIdx + 1) * colWidth + readoutGap));
+      readoutEl.textContent = readoutText;
+
+      wrapCall(image.ondragbar)(bar, newStartYr, newEndYr, false);
+    };
+
+    var finish = function(commit) {
+      window.removeEventListener('mousemove', onMouseMove);
+      window.removeEventListener('mouseup', onMouseUp);
+      window.removeEventListener('keydown', onKeyDown);
+
+      if (!dragging) {
+        return;
+      }
+      image.figureRegionEl.removeChild(readoutEl);
+      image.suppressNextClick = true;
+
+      var changed = newStartYr !== bar.startYr || newEndYr !== bar.endYr;
+      if (!commit || !changed) {
+        bar.drawSpan(bar.startYr, bar.effectiveEndYr);
+        wrapCall(image.ondragbar)(bar, bar.startYr, bar.endYr, false);
+      } else if (image.ondragbar !== undefined && image.ondragbar !== null) {
+        image.ondragbar(bar, newStartYr, newEndYr, true);
+      } else {
+        bar.update(bar.name, newStartYr, newEndYr, bar.category);
+      }
+    };
+
+    var onMouseUp = function() {
+      finish(true);
+    };
+
+    var onKeyDown = function(keyEvent) {
+      if (keyEvent.key == 'Escape') {
+        finish(false);
+      }
+    };
+
+    window.addEventListener('mousemove', onMouseMove);
+    window.addEventListener('mouseup', onMouseUp);
+    window.addEventListener('keydown', onKeyDown);
+  }
+
+  /*
+  * Starts a rubber-band selection when the mouse is pressed over empty space in the image.
+  * Dragging selects every bar the band touches. A click without dragging unselects everything.
+  * Holding shift or ctrl adds to the current selection instead of replacing it.
+  *
+  * mouseEvent: Required. The mousedown event.
+  *
+  * Returns: Nothing.
+  */
+  this.startRubberBand = function(mouseEvent) {
+    if (mouseEvent.button !== 0) {
+      return;
+    }
+
+    // Clicks on bars are handled by the bars themselves
+    var targetEl = mouseEvent.target;
+    while (targetEl !== null && targetEl !== this.svgEl) {
+      if (targetEl.parentNode === this.figuresEl) {
+        return;
+      }
+      targetEl = targetEl.parentNode;
+    }
+
+    mouseEvent.preventDefault();
+
+    var image = this;
+    var extend = mouseEvent.shiftKey || mouseEvent.ctrlKey || mouseEvent.metaKey;
+    var initialSelection = extend ? this.getSelectedBars() : [];
+    var start = this.clientToFigureCoords(mouseEvent.clientX, mouseEvent.clientY);
+
+    var bandEl = buildEl('rect', {'class': 'rubberBand', 'x': start.x, 'y': start.y, 'width': 0, 'height': 0});
+    this.figureRegionEl.appendChild(bandEl);
+
+    var onMouseMove = function(moveEvent) {
+      var end = image.clientToFigureCoords(moveEvent.clientX, moveEvent.clientY);
+      setAttrs(bandEl, {
+        'x': Math.min(start.x, end.x), 'y': Math.min(start.y, end.y),
+        'width': Math.abs(end.x - start.x), 'height': Math.abs(end.y - start.y)
+      });
+    };
+
+    var onMouseUp = function(upEvent) {
+      window.removeEventListener('mousemove', onMouseMove);
+      window.removeEventListener('mouseup', onMouseUp);
+      image.figureRegionEl.removeChild(bandEl);
+
+      var end = image.clientToFigureCoords(upEvent.clientX, upEvent.clientY);
+      var banded = [];
+      if (Math.abs(end.x - start.x) > 2 || Math.abs(end.y - start.y) > 2) {
+        banded = image.getBarsInRect(start.x, start.y, end.x, end.y);
+      }
+
+      var selection = initialSelection.concat(banded.filter(function(bar) {
+        return initialSelection.indexOf(bar) == -1;
+      }));
+      image.selectBars(selection);
+    };
+
+    window.addEventListener('mousemove', onMouseMove);
+    window.addEventListener('mouseup', onMouseUp);
+  }
+
+  // The palette new categories are colored from (see colorPalettes)
+  this.palette = colors.defaultPalette;
+
+  // Background color assigned to each category, keyed by category name
+  this.categoryColors = Object.create(null);
+
+  // The category names, in the order they are listed (e.g. in the legend)
+  this.categoryOrder = [];
+
+  // The names of the categories whose bars aren't shown
+  this.hiddenCategories = [];
+
+  // The same for the categories of events and eras. They are kept apart from the figures' categories, so a marker
+  // category can share a name with a figure category without sharing its color or whether it is hidden.
+  this.markerCategoryColors = Object.create(null);
+  this.markerCategoryOrder = [];
+  this.hiddenMarkerCategories = [];
+
+  // Whether the legend is drawn
+  this.showLegend = false;
+
+  /*
+  * Makes sure a category has a background color, assigning the first unused color of the palette if it doesn't.
+  *
+  * category: Required. The category name.
+  *
+  * Side Effect: May update categoryColors and the category style sheet.
+  *
+  * Returns: Nothing.
+  */
+  this.checkCategories = function(category) {
+    // If a bg color for this category is already defined, we're done
+    if (category in this.categoryColors) {
+      return;
+    }
+
+    // At this point, the category does not have a color defined. Choose the first available color.
+    this.setCategoryColor(category, colors.pickColor(this.palette, this.getUsedBgColors()));
+  }
+
+  /*
+  * Makes sure a category of events and eras has a background color, as for checkCategories.
+  *
+  * category: Required. The marker category name.
+  *
+  * Side Effect: May update markerCategoryColors and the category style sheet.
+  *
+  * Returns: Nothing.
+  */
+  this.checkMarkerCategories = function(category) {
+    if (category in this.markerCategoryColors) {
+      return;
+    }
+
+    this.setMarkerCategoryColor(category, colors.pickColor(this.palette, this.getUsedBgColors()));
+  }
+
+  /*
+  * Lists the background colors given to categories, of figures and of events and eras, so new ones can be told apart.
+  *
+  * Returns: An array of colors.
+  */
+  this.getUsedBgColors = function() {
+    var usedBgColors = [];
+    for (var category in this.categoryColors) {
+      usedBgColors.push(this.categoryColors[category]);
+    }
+    for (var markerCategory in this.markerCategoryColors) {
+      usedBgColors.push(this.markerCategoryColors[markerCategory]);
+    }
+
+    return usedBgColors;
+  }
+
+  /*
+  * Switches to a different palette, recoloring every category.
+  *
+  * palette:        Required. The palette id (see colorPalettes).
+  * bgColors:       Optional. The colors to give the categories, keyed by category name. Defaults to taking each
+  *                 category's color from the palette, in the category order.
+  * markerBgColors: Optional. The same for the categories of events and eras, which follow on from the figures'
+  *                 categories in the palette.
+  *
+  * Side Effect: Updates categoryColors, markerCategoryColors and the category style sheet.
+  *
+  * Returns: Nothing.
+  */
+  this.setPalette = function(palette, bgColors, markerBgColors) {
+    this.palette = palette;
+
+    var usedBgColors = [];
+    this.categoryOrder.forEach(function(category) {
+      var bgColor = (bgColors === undefined) ? colors.pickColor(palette, usedBgColors) : bgColors[category];
+      this.categoryColors[category] = bgColor;
+      usedBgColors.push(bgColor);
+    }, this);
+    this.markerCategoryOrder.forEach(function(category) {
+      var bgColor = (markerBgColors === undefined) ? colors.pickColor(palette, usedBgColors) : markerBgColors[category];
+      this.markerCategoryColors[category] = bgColor;
+      usedBgColors.push(bgColor);
+    }, this);
+    this.writeCategoryCss();
+
+    wrapCall(this.onchange)();
+  }
+
+  /*
+  * Lists the categories.
+  *
+  * Returns: An array of objects with the category's 'name', 'color', whether it is 'hidden' and how many bars
+  *          are in it ('barCount'), in the category order.
+  */
+  this.getCategories = function() {
+    var image = this;
+
+    return this.categoryOrder.map(function(category) {
+      return {
+        'name': category,
+        'color': image.categoryColors[category],
+        'hidden': image.isCategoryHidden(category),
+        'barCount': image.bars.filter(function(bar) { return bar.category == category; }).length
+      };
+    });
+  }
+
+  /*
+  * Lists the categories whose bars are shown.
+  *
+  * Returns: An array of category names, in the category order.
+  */
+  this.getShownCategories = function() {
+    var image = this;
+
+    return this.categoryOrder.filter(function(category) {
+      return !image.isCategoryHidden(category);
+    });
+  }
+
+  this.isCategoryHidden = function(category) {
+    return this.hiddenCategories.indexOf(category) > -1;
+  }
+
+  /*
+  * Lists the categories of events and eras.
+  *
+  * Returns: An array of objects with the category's 'name', 'color', whether it is 'hidden' and how many events and
+  *          eras are in it ('markerCount'), in the order they were first used.
+  */
+  this.getMarkerCategories = function() {
+    var image = this;
+
+    return this.markerCategoryOrder.map(function(category) {
+      return {
+        'name': category,
+        'color': image.markerCategoryColors[category],
+        'hidden': image.isMarkerCategoryHidden(category),
+        'markerCount': image.events.concat(image.eras).filter(function(item) { return item.category == category; }).length
+      };
+    });
+  }
+
+  /*
+  * Lists the categories of events and eras that are shown.
+  *
+  * Returns: An array of marker category names, in order.
+  */
+  this.getShownMarkerCategories = function() {
+    var image = this;
+
+    return this.markerCategoryOrder.filter(function(category) {
+      return !image.isMarkerCategoryHidden(category);
+    });
+  }
+
+  this.isMarkerCategoryHidden = function(category) {
+    return this.hiddenMarkerCategories.indexOf(category) > -1;
+  }
+
+  /*
+  * Renames a category, moving all of its bars to the new name.
+  *
+  * oldName: Required. The category's name.
+  * newName: Required. The category's new name. There must not already be a category with this name.
+  *
+  * Side Effect: Updates every bar in the category and the category style sheet.
+  *
+  * Returns: Nothing.
+  */
+  this.renameCategory = function(oldName, newName) {
+    if (newName in this.categoryColors) {
+      throw new Error('There is already a category called "' + newName + '".');
+    }
+
+    this.categoryColors[newName] = this.categoryColors[oldName];
+    delete this.categoryColors[oldName];
+    this.categoryOrder[this.categoryOrder.indexOf(oldName)] = newName;
+    if (this.isCategoryHidden(oldName)) {
+      this.hiddenCategories[this.hiddenCategories.indexOf(oldName)] = newName;
+    }
+    this.writeCategoryCss();
+
+    var bars = this.bars.filter(function(bar) {
+      return bar.category == oldName;
+    });
+    this.batchLayout(function() {
+      bars.forEach(function(bar) {
+        bar.update(bar.name, bar.startYr, bar.endYr, newName);
+      });
+    });
+
+    this.drawLegend();
+    wrapCall(this.onchange)();
+  }
+
+  /*
+  * Removes a category that no bars are in any more, so it is no longer listed or saved, and its name is free again.
+  *
+  * category: Required. The category name.
+  *
+  * Side Effect: Updates the category style sheet. Throws an error if any bars are in the category.
+  *
+  * Returns: Nothing.
+  */
+  this.removeCategory = function(category) {
+    if (this.bars.some(function(bar) { return bar.category == category; })) {
+      throw new Error('Figures are still in the category "' + category + '".');
+    }
+
+    delete this.categoryColors[category];
+    this.categoryOrder.splice(this.categoryOrder.indexOf(category), 1);
+    this.hiddenCategories = this.hiddenCategories.filter(function(hiddenCategory) {
+      return hiddenCategory != category;
+    });
+    this.writeCategoryCss();
+
+    this.drawLegend();
+    wrapCall(this.onchange)();
+  }
+
+  /*
+  * Moves a category to a different place in the category order.
+  *
+  * category: Required. The category name.
+  * idx:      Required. Its new index in the order.
+  *
+  * Returns: Nothing.
+  */
+  this.moveCategory = function(category, idx) {
+    this.categoryOrder.splice(this.categoryOrder.indexOf(category), 1);
+    this.categoryOrder.splice(idx, 0, category);
+
+    this.drawLegend();
+    wrapCall(this.onchange)();
+  }
+
+  /*
+  * Hides or shows the bars of a category.
+  * Hidden bars take up no room, can't be selected, and are left out of exports.
+  *
+  * category: Required. The category name.
+  * hidden:   Required. True to hide the category's bars, false to show them.
+  *
+  * Side Effect: Unselects any of the category's bars that are selected, and reassigns the columns of all bars.
+  *
+  * Returns: Nothing.
+  */
+  this.setCategoryHidden = function(category, hidden) {
+    this.hiddenCategories = this.hiddenCategories.filter(function(hiddenCategory) {
+      return hiddenCategory != category;
+    });
+    if (hidden) {
+      this.hiddenCategories.push(category);
+
+      var selectedBars = this.selectedBars.filter(function(bar) { return bar.category != category; });
+      if (selectedBars.length != this.selectedBars.length) {
+        var primary = (selectedBars.indexOf(this.selectedBar) > -1) ? this.selectedBar : undefined;
+        this.selectBars(selectedBars, primary);
+      }
+    }
+
+    this.bars.forEach(function(bar) {
+      if (bar.category == category) {
+        bar.drawVisibility();
+
+        // Its name couldn't be measured while it was hidden
+        if (!hidden) {
+          bar.fitLabel((bar.getSpan().endYr - bar.getSpan().startYr) * bar.image.yrHeight);
+        }
+      }
+    });
+    this.assignCols();
+
+    wrapCall(this.onchange)();
+  }
+
+  /*
+  * Hides or shows the events and eras of a category.
+  * Hidden events and eras are left out of the legend and exports.
+  *
+  * category: Required. The marker category name.
+  * hidden:   Required. True to hide the category's events and eras, false to show them.
+  *
+  * Side Effect: Redraws the events and eras, and the legend.
+  *
+  * Returns: Nothing.
+  */
+  this.setMarkerCategoryHidden = function(category, hidden) {
+    this.hiddenMarkerCategories = this.hiddenMarkerCategories.filter(function(hiddenCategory) {
+      return hiddenCategory != category;
+    });
+    if (hidden) {
+      this.hiddenMarkerCategories.push(category);
+    }
+
+    this.drawEvents();
+    this.drawEras();
+    this.assignCols();
+
+    wrapCall(this.onchange)();
+  }
+
+  /*
+  * Shows or hides the legend, which explains what the category colors mean.
+  *
+  * shown: Required. True to draw the legend.
+  *
+  * Returns: Nothing.
+  */
+  this.setLegendShown = function(shown) {
+    this.showLegend = shown;
+    this.assignCols();
+  }
+
+  /*
+  * Lists what the legend shows: the figures' categories, then a heading and the categories of events and eras.
+  * Categories with nothing in them are left out.
+  *
+  * categories:       Required. The names of the figures' categories to list.
+  * markerCategories: Required. The names of the categories of events and eras to list.
+  *
+  * Returns: An array of entries, each with its 'text' and the class of its color swatch ('swatchClass'), which is
+  *          null for the heading.
+  */
+  this.getLegendEntries = function(categories, markerCategories) {
+    var image = this;
+
+    // They stay in the category manager until they are removed, but have nothing to explain
+    categories = categories.filter(function(category) {
+      return image.bars.some(function(bar) { return bar.category == category; });
+    });
+    markerCategories = markerCategories.filter(function(category) {
+      return image.events.concat(image.eras).some(function(item) { return item.category == category; });
+    });
+
+    var entries = categories.map(function(category) {
+      return {'text': category, 'swatchClass': 'category-' + cleanCategoryName(category)};
+    });
+    if (markerCategories.length > 0) {
+      entries.push({'text': legendMarkerHeading, 'swatchClass': null});
+      markerCategories.forEach(function(category) {
+        entries.push({'text': category, 'swatchClass': 'markerCategory-' + cleanCategoryName(category)});
+      });
+    }
+
+    return entries;
+  }
+
+  /*
+  * Works out how wide an entry of the legend is.
+  *
+  * entry: Required. The entry, as returned by getLegendEntries.
+  *
+  * Returns: The width, in pixels.
+  */
+  this.getLegendEntryWidth = function(entry) {
+    var textWidth = entry.text.length * legendCharWidth;
+
+    return (entry.swatchClass === null) ? textWidth : legendSwatchSize + legendSwatchGap + textWidth;
+  }
+
+  /*
+  * Works out how big the legend is.
+  *
+  * categories:       Required. The names of the figures' categories it lists.
+  * markerCategories: Required. The names of the categories of events and eras it lists.
+  *
+  * Returns: An object with the legend's width and height, in pixels. Both are 0 for an empty legend.
+  */
+  this.getLegendSize = function(categories, markerCategories) {
+    var entries = this.getLegendEntries(categories, markerCategories);
+    if (entries.length == 0) {
+      return {'width': 0, 'height': 0};
+    }
+
+    var entryWidths = entries.map(this.getLegendEntryWidth, this);
+
+    // Vertical images list the categories one above the other, and horizontal images side by side
+    if (this.orientation == 'vertical') {
+      return {
+        'width': 2 * legendPadding + Math.max.apply(null, entryWidths),
+        'height': 2 * legendPadding + entries.length * legendRowHeight
+      };
+    }
+
+    return {
+      'width': 2 * legendPadding + entryWidths.reduce(function(total, width) { return total + width + legendPadding; }, -legendPadding),
+      'height': 2 * legendPadding + legendRowHeight
+    };
+  }
+
+  /*
+  * Works out how big the image needs to be across the time axis.
+  *
+  * colCount:         Required. The number of columns of bars.
+  * categories:       Required. The names of the figures' categories listed in the legend, if it is shown.
+  * markerCategories: Required. The names of the categories of events and eras listed in the legend, if it is shown.
+  *
+  * Returns: The size, in pixels, including a blank column after the bars.
+  */
+  this.getCrossLengthFor = function(colCount, categories, markerCategories) {
+    var crossLength = this.getAxisSize() + colWidth * (colCount + 1);
+    if (this.showLegend) {
+      var legendSize = this.getLegendSize(categories, markerCategories);
+      crossLength += (this.orientation == 'vertical') ? legendSize.width : legendSize.height;
+    }
+
+    return crossLength;
+  }
+
+  /*
+  * Generates the svg xml element tree used to render the legend.
+  * The legend sits after the bars (to their right in vertical orientation, below them in horizontal orientation),
+  * at the start of the timeline. The element is _not_ added to any DOM by this function.
+  *
+  * categories:       Required. The names of the figures' categories to list.
+  * markerCategories: Required. The names of the categories of events and eras to list, after the figures' ones.
+  * cross:            Required. The position of the legend across the time axis.
+  *
+  * Returns: An svg xml element tree.
+  */
+  this.buildLegendEl = function(categories, markerCategories, cross) {
+    var legendEl = buildEl('g', {
+      'transform': (this.orientation == 'vertical') ? 'translate(' + cross + ', 0)' : 'translate(0, ' + cross + ')'
+    }, this.getElId('legend'));
+    var entries = this.getLegendEntries(categories, markerCategories);
+    if (entries.length == 0) {
+      return legendEl;
+    }
+
+    var size = this.getLegendSize(categories, markerCategories);
+    legendEl.appendChild(buildEl('rect', {'class': 'legend', 'x': 0, 'y': 0, 'width': size.width, 'height': size.height}));
+
+    var vertical = this.orientation == 'vertical';
+    var x = legendPadding;
+    var y = legendPadding;
+    entries.forEach(function(entry) {
+      var textX = x;
+      if (entry.swatchClass !== null) {
+        var swatchEl = buildEl('rect', {
+          'class': 'legendSwatch ' + entry.swatchClass,
+          'x': x, 'y': y + (legendRowHeight - legendSwatchSize) / 2,
+          'width': legendSwatchSize, 'height': legendSwatchSize
+        });
+        legendEl.appendChild(swatchEl);
+        textX += legendSwatchSize + legendSwatchGap;
+      }
+
+      var textEl = buildEl('text', {'class': (entry.swatchClass === null) ? 'legendHeading' : 'legend', 'x': textX, 'y': y + legendRowHeight / 2});
+      textEl.textContent = entry.text;
+      legendEl.appendChild(textEl);
+
+      if (vertical) {
+        y += legendRowHeight;
+      } else {
+        x += this.getLegendEntryWidth(entry) + legendPadding;
+      }
+    }, this);
+
+    return legendEl;
+  }
+
+  /*
+  * Redraws the legend, listing the categories that are shown.
+  *
+  * Side Effect: Replaces the legend element.
+  *
+  * Returns: Nothing.
+  */
+  this.drawLegend = function() {
+    var categories = this.showLegend ? this.getShownCategories() : [];
+    var markerCategories = this.showLegend ? this.getShownMarkerCategories() : [];
+    var newLegendEl = this.buildLegendEl(categories, markerCategories, this.getCrossLengthFor(this.colCount, [], []));
+
+    this.svgEl.replaceChild(newLegendEl, this.legendEl);
+    this.legendEl = newLegendEl;
+  }
+
+  /*
+  * Sets the background color for a category.
+  *
+  * category: Required. The category name.
+  * bgColor:  Required. The background color, written any way parseColor accepts.
+  *
+  * Side Effect: Updates categoryColors (adding the category to the end of the category order if it is new) and the
+  *              category style sheet.
+  *
+  * Returns: Nothing.
+  */
+  this.setCategoryColor = function(category, bgColor) {
+    if (!(category in this.categoryColors)) {
+      this.categoryOrder.push(category);
+    }
+    this.categoryColors[category] = colors.normalizeColor(bgColor);
+    this.writeCategoryCss();
+
+    wrapCall(this.onchange)();
+  }
+
+  /*
+  * Sets the background color for a category of events and eras.
+  *
+  * category: Required. The marker category name.
+  * bgColor:  Required. The background color, written any way parseColor accepts.
+  *
+  * Side Effect: Updates markerCategoryColors (adding the category to the end of their order if it is new) and the
+  *              category style sheet.
+  *
+  * Returns: Nothing.
+  */
+  this.setMarkerCategoryColor = function(category, bgColor) {
+    if (!(category in this.markerCategoryColors)) {
+      this.markerCategoryOrder.push(category);
+    }
+    this.markerCategoryColors[category] = colors.normalizeColor(bgColor);
+    this.writeCategoryCss();
+
+    wrapCall(this.onchange)();
+  }
+
+  /*
+  * Generates the CSS rules that color the bars of each category.
+  * The text color for each category is whichever of black and white contrasts more with its background color.
+  *
+  * Events and eras are colored by their own categories, which have classes of their own.
+  *
+  * categories:       Optional. The names of the categories to generate rules for. Defaults to all of them, in order.
+  * markerCategories: Optional. The same for the categories of events and eras.
+  *
+  * Returns: An object of CSS declarations, keyed by selector (see formatCss).
+  */
+  this.getCategoryCssRules = function(categories, markerCategories) {
+    if (categories === undefined) {
+      categories = this.categoryOrder;
+    }
+    if (markerCategories === undefined) {
+      markerCategories = this.markerCategoryOrder;
+    }
+
+    var rules = {};
+    categories.forEach(function(category) {
+      var categoryClass = CSS.escape('category-' + cleanCategoryName(category));
+      var bgColor = this.categoryColors[category];
+
+      rules["rect." + categoryClass] = "fill: " + bgColor + ";";
+      rules["text." + categoryClass] = "fill: " + colors.getTextColor(bgColor) + ";";
+      rules["path." + categoryClass] = "stroke: " + bgColor + ";";
+    }, this);
+    markerCategories.forEach(function(category) {
+      var categoryClass = CSS.escape('markerCategory-' + cleanCategoryName(category));
+      var bgColor = this.markerCategoryColors[category];
+
+      rules["rect." + categoryClass] = "fill: " + bgColor + ";";
+      rules["path." + categoryClass] = "stroke: " + bgColor + ";";
+    }, this);
+
+    return rules;
+  }
+
+  /*
+  * Regenerates the category style sheet from categoryColors and markerCategoryColors.
+  *
+  * Side Effect: Replaces the contents of the category style sheet.
+  *
+  * Returns: Nothing.
+  */
+  this.writeCategoryCss = function() {
+    // Other images on the page may color the same categories differently. The rules are kept to this image without
+    // becoming more specific than the shared ones (e.g. for labels drawn outside their bars).
+    var rules = this.getCategoryCssRules();
+    var scopedRules = {};
+    for (var selector in rules) {
+      scopedRules[':where(#' + this.idPrefix + ') ' + selector] = rules[selector];
+    }
+
+    this.categoryCss.textContent = formatCss(scopedRules);
+  }
+
+  /*
+  * Generates the svg xml element tree used to render a bar for a historical figure's lifetime.
+  * 
+  * id:       ID to apply to the element.
+  * name:     The historical figure's name to draw on the bar.
+  * startYr:  The year the historical figure was born.
+  * endYr:    The year the historical figure died. Use null to represent still alive.
+  * category: Category.
+  * dates:    Optional. How certain the years are, as for parseYrSpan. Defaults to exact years.
+  *
+  * Side effect: Adds a tree of svg elements representing a historical figure to the svg DOM.
+  * 
+  * Returns: An svg xml element tree.
+  */
+  this.addBar = function(id, name, startYr, endYr, category, dates) {
+    var bar = new Bar(this, id, name, startYr, endYr, category, 0, dates);
+    this.emit('add', bar);
+
+    return bar;
+  }
+
+  /*
+  * Removes a bar from the image.
+  *
+  * bar: Required. The bar to remove.
+  *
+  * Side Effect: Unselects the bar if it is selected, removes it from the svg DOM and reassigns the columns of the remaining bars.
+  *
+  * Returns: Nothing.
+  */
+  this.removeBar = function(bar) {
+    var barIdx = this.bars.indexOf(bar);
+    if (barIdx == -1) {
+      return;
+    }
+
+    if (this.selectedBars.indexOf(bar) > -1) {
+      var primary = (this.selectedBar === bar) ? undefined : this.selectedBar;
+      this.selectBars(this.selectedBars.filter(function(selected) { return selected !== bar; }), primary);
+    }
+
+    this.bars.splice(barIdx, 1);
+    this.figuresEl.removeChild(bar.barGEl);
+
+    this.assignCols();
+
+    wrapCall(this.onchange)(bar);
+    this.emit('remove', bar);
+  }
+
+  /*
+  * Puts a bar that was removed with removeBar back into the image.
+  *
+  * bar: Required. The bar to put back.
+  *
+  * Side Effect: Adds the bar to the svg DOM and reassigns the columns of all bars.
+  *
+  * Returns: Nothing.
+  */
+  this.insertBar = function(bar) {
+    if (this.bars.indexOf(bar) > -1) {
+      return;
+    }
+
+    this.checkCategories(bar.category);
+
+    this.figuresEl.appendChild(bar.barGEl);
+    this.bars.push(bar);
+
+    this.assignCols();
+
+    wrapCall(this.onchange)(bar);
+    this.emit('add', bar);
+  }
+
+  /*
+  * Generates an id for a new bar that is unique within the page.
+  *
+  * Returns: The id.
+  */
+  this.newBarId = function() {
+    var id = this.getElId('bar' + this.barIdSeq);
+    this.barIdSeq++;
+
+    return id;
+  }
+
+  /*
+  * Removes every bar, relationship, event, era and category from the image.
+  *
+  * Side Effect: Unselects the selected bar, empties the figures, relationships, events and eras elements and resets the category colors.
+  *
+  * Returns: Nothing.
+  */
+  this.clear = function() {
+    this.selectBar(null);
+
+    var figuresEl = this.figuresEl;
+    this.bars.forEach(function(bar) {
+      figuresEl.removeChild(bar.barGEl);
+    });
+    this.bars = [];
+    this.relationships = [];
+    this.drawRelationships();
+
+    this.events = [];
+    this.eras = [];
+    this.drawEvents();
+    this.drawEras();
+
+    this.categoryColors = Object.create(null);
+    this.categoryOrder = [];
+    this.hiddenCategories = [];
+    this.markerCategoryColors = Object.create(null);
+    this.markerCategoryOrder = [];
+    this.hiddenMarkerCategories = [];
+    this.writeCategoryCss();
+
+    this.colCount = 0;
+    this.drawLegend();
+  }
+
+  // Methods for relationships between figures
+
+  /*
+  * Adds a relationship between two figures, drawn as a connector between their bars.
+  *
+  * from: Required. The bar the relationship is from, e.g. the teacher.
+  * to:   Required. The bar the relationship is to, e.g. the student.
+  * type: Required. The kind of relationship (see relationshipTypes).
+  * yr:   Optional. The year the relationship is drawn at, e.g. when they met. Defaults to null, for no year in
+  *       particular.
+  *
+  * Side Effect: Redraws the relationships and calls onchange(). Throws an error if the bars are the same.
+  *
+  * Returns: The relationship.
+  */
+  this.addRelationship = function(from, to, type, yr) {
+    if (from === to) {
+      throw new Error('"' + from.name + '" can\'t be related to itself.');
+    }
+
+    var relationship = {'from': from, 'to': to, 'type': type, 'yr': (yr === undefined) ? null : yr};
+    this.insertRelationship(relationship);
+
+    return relationship;
+  }
+
+  this.removeRelationship = function(relationship) {
+    var relationshipIdx = this.relationships.indexOf(relationship);
+    if (relationshipIdx == -1) {
+      return;
+    }
+
+    this.relationships.splice(relationshipIdx, 1);
+
+    this.drawRelationships();
+    wrapCall(this.onchange)();
+  }
+
+  /*
+  * Puts a relationship that was removed with removeRelationship back into the image.
+  *
+  * relationship: Required. The relationship to put back.
+  *
+  * Returns: Nothing.
+  */
+  this.insertRelationship = function(relationship) {
+    if (this.relationships.indexOf(relationship) > -1) {
+      return;
+    }
+
+    this.relationships.push(relationship);
+
+    this.drawRelationships();
+    wrapCall(this.onchange)();
+  }
+
+  /*
+  * Lists the relationships between bars that are in the image.
+  * The relationships of a removed bar are kept, so that they come back if the removal is undone.
+  *
+  * bar: Optional. Only list the relationships this bar is in.
+  *
+  * Returns: An array of relationships.
+  */
+  this.getRelationships = function(bar) {
+    var bars = this.bars;
+
+    return this.relationships.filter(function(relationship) {
+      return bars.indexOf(relationship.from) > -1 && bars.indexOf(relationship.to) > -1 &&
+        (bar === undefined || relationship.from === bar || relationship.to === bar);
+    });
+  }
+
+  /*
+  * Finds the relationship chain of a figure: every figure it descends from and leads to through directed
+  * relationships (e.g. its teachers' teachers and its students' students), plus its direct undirected ones.
+  *
+  * bar: Required. The bar.
+  *
+  * Returns: An array of the relationships in the chain.
+  */
+  this.getRelationshipChain = function(bar) {
+    var relationships = this.getRelationships();
+    var chain = [];
+
+    var follow = function(current, forward) {
+      relationships.forEach(function(relationship) {
+        var from = forward ? relationship.from : relationship.to;
+        if (from === current && relationshipTypes[relationship.type].directed && chain.indexOf(relationship) == -1) {
+          chain.push(relationship);
+          follow(forward ? relationship.to : relationship.from, forward);
+        }
+      });
+    };
+    follow(bar, true);
+    follow(bar, false);
+
+    relationships.forEach(function(relationship) {
+      if ((relationship.from === bar || relationship.to === bar) && !relationshipTypes[relationship.type].directed) {
+        chain.push(relationship);
+      }
+    });
+
+    return chain;
+  }
+
+  /*
+  * Turns highlighting of the selected figure's relationship chain on or off.
+  *
+  * highlighted: Required. True to highlight the chain.
+  *
+  * Returns: Nothing.
+  */
+  this.setChainHighlighted = function(highlighted) {
+    this.highlightChain = highlighted;
+    this.drawRelationships();
+  }
+
+  /*
+  * Generates the svg xml element tree for the connectors between bars. The element is _not_ added to any DOM by this
+  * function.
+  *
+  * Each connector runs from the middle of one bar's column to the middle of the other's, at the relationship's year
+  * (limited to the years each bar covers). Without a year, it is drawn where the bars overlap, or across the gap
+  * between them.
+  *
+  * bars:    Required. The bars to draw the relationships between. Relationships with other bars are left out.
+  * colIdxs: Required. The column of each bar.
+  * chain:   Required. The relationships to highlight.
+  *
+  * Returns: An svg xml element tree.
+  */
+  this.buildRelationshipsEl = function(bars, colIdxs, chain) {
+    var relationshipsEl = buildEl('g', {'class': 'relationships'}, this.getElId('relationships'));
+
+    var defsEl = buildEl('defs', {});
+    var markerEl = buildEl('marker', {
+      'viewBox': '0 0 10 10', 'refX': 10, 'refY': 5,
+      'markerWidth': 6, 'markerHeight': 6, 'orient': 'auto'
+    }, this.getElId('relationshipArrow'));
+    markerEl.appendChild(buildEl('path', {'class': 'relationshipArrow', 'd': 'M 0 0 L 10 5 L 0 10 z'}));
+    defsEl.appendChild(markerEl);
+    relationshipsEl.appendChild(defsEl);
+
+    var clampYr = function(yr, span) {
+      return Math.min(Math.max(yr, span.startYr), span.endYr);
+    };
+
+    this.relationships.forEach(function(relationship) {
+      var fromIdx = bars.indexOf(relationship.from);
+      var toIdx = bars.indexOf(relationship.to);
+      if (fromIdx == -1 || toIdx == -1) {
+        return;
+      }
+
+      var fromSpan = relationship.from.getSpan();
+      var toSpan = relationship.to.getSpan();
+      var yr = relationship.yr;
+      if (yr === null) {
+        yr = (Math.max(fromSpan.startYr, toSpan.startYr) + Math.min(fromSpan.endYr, toSpan.endYr)) / 2;
+      }
+
+      var fromPos = this.yrToPos(clampYr(yr, fromSpan));
+      var toPos = this.yrToPos(clampYr(yr, toSpan));
+      var fromCross = (colIdxs[fromIdx] + 0.5) * colWidth;
+      var toCross = (colIdxs[toIdx] + 0.5) * colWidth;
+      var midCross = (fromCross + toCross) / 2;
+
+      var points = [
+        this.placePoint(fromPos, fromCross),
+        this.placePoint(fromPos, midCross),
+        this.placePoint(toPos, midCross),
+        this.placePoint(toPos, toCross)
+      ].map(function(point) {
+        return point.x + ' ' + point.y;
+      });
+
+      var className = 'relationship relationship-' + relationship.type;
+      if (chain.indexOf(relationship) > -1) {
+        className += ' chain';
+      }
+      var pathEl = buildEl('path', {'class': className, 'd': 'M ' + points[0] + ' C ' + points.slice(1).join(', ')});
+      if (relationshipTypes[relationship.type].directed) {
+        pathEl.setAttribute('marker-end', 'url(#' + this.getElId('relationshipArrow') + ')');
+      }
+      relationshipsEl.appendChild(pathEl);
+    }, this);
+
+    return relationshipsEl;
+  }
+
+  /*
+  * Redraws the connectors between the bars that are shown, highlighting the selected bar's relationship chain if
+  * highlightChain is on.
+  *
+  * Side Effect: Replaces the element with id 'relationships', and marks the bars in the chain with the 'chain-bar' class.
+  *
+  * Returns: Nothing.
+  */
+  this.drawRelationships = function() {
+    var image = this;
+    var shownBars = this.bars.filter(function(bar) {
+      return !image.isBarHidden(bar);
+    });
+    var colIdxs = shownBars.map(function(bar) {
+      return bar.colIdx;
+    });
+
+    var chain = [];
+    if (this.highlightChain && this.selectedBar !== null) {
+      chain = this.getRelationshipChain(this.selectedBar);
+    }
+
+    this.bars.forEach(function(bar) {
+      var inChain = chain.some(function(relationship) {
+        return relationship.from === bar || relationship.to === bar;
+      });
+      if (inChain) {
+        bar.bgRectEl.classList.add('chain-bar');
+      } else {
+        bar.bgRectEl.classList.remove('chain-bar');
+      }
+    });
+
+    var newRelationshipsEl = this.buildRelationshipsEl(shownBars, colIdxs, chain);
+    this.figureRegionEl.replaceChild(newRelationshipsEl, this.relationshipsEl);
+    this.relationshipsEl = newRelationshipsEl;
+  }
+
+  // Methods for searching and filtering
+
+  /*
+  * Finds the figures whose names contain some text, ignoring case and accents.
+  *
+  * text: Required. The text to look for.
+  *
+  * Returns: An array of the bars that are shown, in the order they are drawn. Empty if the text is blank.
+  */
+  this.findBars = function(text) {
+    var simplify = function(name) {
+      return name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    };
+    var query = simplify(text.trim());
+    if (query === "") {
+      return [];
+    }
+
+    return this.bars.filter(function(bar) {
+      return !this.isBarHidden(bar) && simplify(bar.name).indexOf(query) > -1;
+    }, this);
+  }
+
+  /*
+  * Scrolls the image so that the middle of a bar is in the middle of the image, or as near as it can get.
+  *
+  * bar: Required. The bar.
+  *
+  * Returns: Nothing.
+  */
+  this.scrollToBar = function(bar) {
+    var span = bar.getSpan();
+    this.goToYr((span.startYr + span.endYr) / 2);
+  }
+
+  /*
+  * Picks out the bars that match a filter, by dimming or hiding the rest.
+  *
+  * filter: Required. An object with:
+  *           categories:  The categories to match, or null for all of them.
+  *           minLifespan: The fewest years a figure can have lived (or been active) to match, or null.
+  *           maxLifespan: The most years, or null.
+  *           aliveYr:     A year the figure must have been alive (or active) in to match, or null.
+  *           hide:        True to hide the bars that don't match, rather than dim them.
+  *           compact:     True to close up the gaps hidden bars leave in the layout.
+  *         Use null for no filter.
+  *
+  * Side Effect: Unselects the bars that are hidden, redraws the bars and reassigns the columns.
+  *
+  * Returns: Nothing.
+  */
+  this.setFilter = function(filter) {
+    this.filter = filter;
+
+    var selectedBars = this.selectedBars.filter(function(bar) {
+      return !this.isBarHidden(bar);
+    }, this);
+    if (selectedBars.length != this.selectedBars.length) {
+      var primary = (selectedBars.indexOf(this.selectedBar) > -1) ? this.selectedBar : undefined;
+      this.selectBars(selectedBars, primary);
+    }
+
+    this.bars.forEach(function(bar) {
+      bar.drawVisibility();
+    });
+    this.assignCols();
+  }
+
+  /*
+  * Checks whether a bar matches the filter.
+  *
+  * bar: Required. The bar.
+  *
+  * Returns: True iff the bar matches, or there is no filter.
+  */
+  this.matchesFilter = function(bar) {
+    var filter = this.filter;
+    if (filter === null) {
+      return true;
+    }
+
+    var lifespan = bar.effectiveEndYr - bar.startYr;
+    return (filter.categories === null || filter.categories.indexOf(bar.category) > -1) &&
+      (filter.minLifespan === null || lifespan >= filter.minLifespan) &&
+      (filter.maxLifespan === null || lifespan <= filter.maxLifespan) &&
+      (filter.aliveYr === null || bar.isAliveIn(filter.aliveYr));
+  }
+
+  /*
+  * Checks whether a bar is hidden, because its category is or because the filter hides it.
+  *
+  * bar: Required. The bar.
+  *
+  * Returns: True iff the bar is hidden.
+  */
+  this.isBarHidden = function(bar) {
+    return this.isCategoryHidden(bar.category) || (this.filter !== null && this.filter.hide && !this.matchesFilter(bar));
+  }
+
+  /*
+  * Checks whether a bar takes up room in the layout. Hidden bars don't, unless the filter leaves gaps where they were.
+  *
+  * bar: Required. The bar.
+  *
+  * Returns: True iff the bar is given a column.
+  */
+  this.isBarLaidOut = function(bar) {
+    if (this.isCategoryHidden(bar.category)) {
+      return false;
+    }
+
+    return !this.isBarHidden(bar) || !this.filter.compact;
+  }
+
+  // Methods for finding contemporaries
+
+  /*
+  * Finds the figures alive (or active) during any of a range of years.
+  *
+  * startYr: Required. The first year of the range.
+  * endYr:   Optional. The last year of the range. Defaults to startYr.
+  *
+  * Returns: An array of the bars, in the order they are drawn.
+  */
+  this.getBarsAlive = function(startYr, endYr) {
+    return this.bars.filter(function(bar) {
+      return bar.isAliveIn(startYr, endYr);
+    });
+  }
+
+  /*
+  * Finds the figures whose years overlap a figure's.
+  *
+  * bar: Required. The bar.
+  *
+  * Returns: An array of the other bars alive at the same time as it, in the order they are drawn.
+  */
+  this.getContemporaries = function(bar) {
+    return this.getBarsAlive(bar.startYr, bar.effectiveEndYr).filter(function(other) {
+      return other !== bar;
+    });
+  }
+
+  /*
+  * Turns dimming of the figures who were never contemporary with the selected figure on or off.
+  *
+  * dimmed: Required. True to dim them.
+  *
+  * Returns: Nothing.
+  */
+  this.setNonContemporariesDimmed = function(dimmed) {
+    this.dimNonContemporaries = dimmed;
+    this.drawDimming();
+  }
+
+  /*
+  * Dims the bars of figures who were never contemporary with the selected figure, if dimNonContemporaries is on.
+  *
+  * Side Effect: Adds or removes the 'dimmed' class on each bar's element.
+  *
+  * Returns: Nothing.
+  */
+  this.drawDimming = function() {
+    var selected = this.selectedBar;
+    var contemporaries = null;
+    if (this.dimNonContemporaries && selected !== null) {
+      contemporaries = this.getContemporaries(selected);
+    }
+
+    this.bars.forEach(function(bar) {
+      if (contemporaries !== null && bar !== selected && contemporaries.indexOf(bar) == -1) {
+        bar.barGEl.classList.add('dimmed');
+      } else {
+        bar.barGEl.classList.remove('dimmed');
+      }
+    });
+  }
+
+  /*
+  * Shows the year ruler: a line across the figure region at a year, labelled with the year.
+  *
+  * yr: Required. The year to show it at. Fractions of a year are allowed, e.g. to follow the mouse smoothly.
+  *
+  * Side Effect: Calls onruler(yr, bars) with the whole year and the figures alive in it.
+  *
+  * Returns: Nothing.
+  */
+  this.showRuler = function(yr) {
+    var pos = this.yrToPos(yr);
+    var from = this.placePoint(pos, 0);
+    var to = this.placePoint(pos, this.getCrossLength() - this.getAxisSize());
+    this.rulerLineEl.setAttribute('d', 'M ' + from.x + ' ' + from.y + ' L ' + to.x + ' ' + to.y);
+
+    var wholeYr = Math.floor(yr);
+    var alive = this.getBarsAlive(wholeYr).filter(function(bar) {
+      return !this.isBarHidden(bar);
+    }, this);
+
+    var labelPoint = this.placePoint(pos - 4, (this.orientation == 'vertical') ? 4 : 12);
+    setAttrs(this.rulerTextEl, {'x': labelPoint.x, 'y': labelPoint.y});
+    this.rulerTextEl.textContent = years.formatYr(wholeYr) + " (" + alive.length + " alive)";
+
+    this.rulerEl.removeAttribute('display');
+
+    wrapCall(this.onruler)(wholeYr, alive);
+  }
+
+  /*
+  * Hides the year ruler.
+  *
+  * Side Effect: Calls onruler(null, []).
+  *
+  * Returns: Nothing.
+  */
+  this.hideRuler = function() {
+    this.rulerEl.setAttribute('display', 'none');
 
-function Image(width, height, parentEl) {
+    wrapCall(this.onruler)(null, []);
+  }
 
-  // Initialize member variables
-  
-  this.outerWidth = width;
-  this.outerHeight = height;
-  this.width = width - 1;
-  this.height = height - 1;
+  // Methods for events and eras
 
-  this.bars = [];
-  this.selectedBar = null;
+  /*
+  * Adds a point event, e.g. a battle, drawn as a line across the image at its year.
+  *
+  * name:     Required. What happened.
+  * yr:       Required. The year it happened.
+  * category: Required. Category, among those of events and eras rather than of figures.
+  *
+  * Side Effect: Redraws the events and calls onchange().
+  *
+  * Returns: The event.
+  */
+  this.addEvent = function(name, yr, category) {
+    var event = {'name': name, 'yr': yr, 'category': category};
+    this.insertEvent(event);
 
-  // Methods for labels and other meta content
+    return event;
+  }
 
   /*
-  * Generates the svg xml element tree used to render a decade label.
-  * The element is _not_ added to any DOM by this function.
-  * 
-  * decadeYr: Required. A year in the decade for which we want a label.
-  * 
-  * Returns: An svg xml element tree.
+  * Changes an event's details.
+  *
+  * event:    Required. The event, as returned by addEvent.
+  * name:     Required. What happened.
+  * yr:       Required. The year it happened.
+  * category: Required. Category, among those of events and eras rather than of figures.
+  *
+  * Side Effect: Redraws the events and calls onchange().
+  *
+  * Returns: Nothing.
   */
-  buildDecadeEl = function (decadeYr) {
-    var decade = getDecadeForYr(decadeYr)
-  
-    // Figure out the offset from the current decade (top of the image)
-    var y = (curDecade - decade) * decadeHeight;
-  
-    // Generate the "root" element of the decade svg xml element tree
-    var decadeAttrs = {
-      'transform': 'translate(0, ' + y + ')'
-    };
-    var decadeEl = buildEl('g', decadeAttrs, 'decade' + decadeYr);
-  
-    // Generate the border rectangle element
-    var rectAttrs = {
-      'class': 'decadeLabel',
-      'x': 0, 'y': 0,
-      'width': decadeWidth, 'height': decadeHeight
-    };
-    var rectEl = buildEl('rect', rectAttrs);
-    decadeEl.appendChild(rectEl);
-  
-    // Generate the text element
-    var textAttrs = {
-      'class': 'decadeLabel',
-      'x': decadeWidth / 2, 'y': decadeHeight / 2
+  this.updateEvent = function(event, name, yr, category) {
+    event.name = name;
+    event.yr = yr;
+    event.category = category;
+    this.checkMarkerCategories(category);
+
+    this.drawEvents();
+    wrapCall(this.onchange)();
+  }
+
+  this.removeEvent = function(event) {
+    var eventIdx = this.events.indexOf(event);
+    if (eventIdx == -1) {
+      return;
     }
-    var textEl = buildEl('text', textAttrs);
-    textEl.innerHTML = decadeYr;
-    decadeEl.appendChild(textEl);
-  
-    return decadeEl;
+
+    this.events.splice(eventIdx, 1);
+
+    this.drawEvents();
+    wrapCall(this.onchange)();
   }
 
   /*
-  * Adds century boundary markers to the svg DOM.
-  * 
-  * Side Effect: Mutates the DOM of the element with id 'centuries'.
-  * 
-  * centuryYr: The year where a century transition occurs.
-  * width:     How wide to draw the century boundary marker.
-  * 
+  * Puts an event that was removed with removeEvent back into the image.
+  *
+  * event: Required. The event to put back.
+  *
   * Returns: Nothing.
   */
-  this.addCenturyEl = function (centuryYr) {
-    // Determine the decade where the century transition occurs
-    centuryDecade = getDecadeForYr(centuryYr);
-  
-    // Figure out the offset from the current decade (top of the image)
-    var y = (curDecade - centuryDecade + 1) * decadeHeight;
-  
-    // Generate the century boundary marker element
-    var pathAttrs = {
-      'class': 'centuryBoundary',
-      'd': 'M 0 ' + y + ' L ' + (this.width) + ' ' + y,
-    };
-    var pathEl = buildEl('path', pathAttrs);
-    this.centuriesEl.appendChild(pathEl);
+  this.insertEvent = function(event) {
+    if (this.events.indexOf(event) > -1) {
+      return;
+    }
+
+    this.checkMarkerCategories(event.category);
+    this.events.push(event);
+
+    this.drawEvents();
+    wrapCall(this.onchange)();
   }
 
   /*
-  * "Scrolls" the image forward or backwards in time
+  * Adds a named era, e.g. a dynasty or a war, drawn as a shaded band behind the bars.
   *
-  * Side Effect: Updates the Y-transform of the decadeOffsetEl by "offsetDelta". It will not scroll forwards in time past the end of the current decade.
+  * name:     Required. The era's name.
+  * startYr:  Required. The year it began.
+  * endYr:    Required. The year it ended. Use null for an era that is still going.
+  * category: Required. Category, among those of events and eras rather than of figures.
   *
-  * offsetDelta: The relative amount to scroll the image. Negative is backwards in time. Positive is forwards in time.
+  * Side Effect: Redraws the eras and calls onchange().
   *
-  * Returns: Nothing.
+  * Returns: The era.
   */
-  this.updateOffset = function (offsetDelta) {
-    this.setOffset(parseInt(this.decadeOffsetEl.getAttribute("offset")) + offsetDelta);
+  this.addEra = function(name, startYr, endYr, category) {
+    var era = {'name': name, 'startYr': startYr, 'endYr': endYr, 'category': category};
+    this.insertEra(era);
+
+    return era;
   }
 
   /*
-  * "Scrolls" the image to a specific point in time
+  * Changes an era's details.
   *
-  * Side Effect: Updates the Y-transform of the decadeOffsetEl to "offset". It will not scroll forwards in time past the end of the current decade.
+  * era:      Required. The era, as returned by addEra.
+  * name:     Required. The era's name.
+  * startYr:  Required. The year it began.
+  * endYr:    Required. The year it ended, or null.
+  * category: Required. Category, among those of events and eras rather than of figures.
   *
-  * offset: The absolute amount to scroll the image. Negative is backwards in time. Positive is forwards in time.
+  * Side Effect: Redraws the eras and calls onchange().
   *
   * Returns: Nothing.
   */
-  this.setOffset = function (offset) {
-    // Don't allow scrolling into the future
-    if (offset > 0) {
-      offset = 0;
+  this.updateEra = function(era, name, startYr, endYr, category) {
+    era.name = name;
+    era.startYr = startYr;
+    era.endYr = endYr;
+    era.category = category;
+    this.checkMarkerCategories(category);
+
+    this.drawEras();
+    wrapCall(this.onchange)();
+  }
+
+  this.removeEra = function(era) {
+    var eraIdx = this.eras.indexOf(era);
+    if (eraIdx == -1) {
+      return;
     }
 
-    // Update the vertical offset for the whole image
-    this.decadeOffsetEl.setAttribute("offset", offset);
-    this.decadeOffsetEl.setAttribute("transform", "translate(0, " + offset + ")");
+    this.eras.splice(eraIdx, 1);
 
-    this.updateDecadeLabels();
+    this.drawEras();
+    wrapCall(this.onchange)();
   }
 
   /*
-  * Generates new decade labels, as needed
+  * Puts an era that was removed with removeEra back into the image.
   *
-  * Side Effect: Adds new decade labels to the DOM
+  * era: Required. The era to put back.
   *
   * Returns: Nothing.
   */
-  this.updateDecadeLabels = function() {
-    // Determine the startDecade (aka. the furthest decade back in history that is visible on the image)
-    var visibleY = this.height - parseInt(this.decadeOffsetEl.getAttribute('offset'));
-    var decadeCount = Math.ceil(visibleY / decadeHeight);
-    var endDecade = parseInt(this.decadesEl.getAttribute('end'));
-    var startDecade = endDecade - decadeCount + 1;
-
-    // Determine the previous start decade (The furthest decade back in history that already has a label)
-    if (this.decadesEl.getAttribute('start') === null) {
-      // If no previous start decade is set, we want to generate all decades up to and including the endDecade
-      var prevStartDecade = endDecade + 1;
-    } else {
-      var prevStartDecade = parseInt(this.decadesEl.getAttribute('start'));
+  this.insertEra = function(era) {
+    if (this.eras.indexOf(era) > -1) {
+      return;
     }
 
-    // Generate all decade labels and add them to the DOM
-    for (var decade = startDecade; decade < prevStartDecade; decade++) {
-      var decadeEl = buildDecadeEl(decade * 10);
-  
-      this.decadesEl.appendChild(decadeEl);
+    this.checkMarkerCategories(era.category);
+    this.eras.push(era);
 
-      if (decade % 10 == 0) {
-        this.addCenturyEl(decade * 10);
-      }
-    }
+    this.drawEras();
+    wrapCall(this.onchange)();
+  }
+
+  /*
+  * Generates the svg xml element tree for the label of an event or era, just after the year it starts, beside the
+  * time axis. The element is _not_ added to any DOM by this function.
+  *
+  * text:      Required. The label text.
+  * yr:        Required. The year the label goes after.
+  * className: Required. 'event' or 'era'.
+  *
+  * Returns: An svg xml element tree.
+  */
+  this.buildMarkerLabelEl = function(text, yr, className) {
+    var point = this.placePoint(this.yrToPos(yr) - 4, this.getAxisSize() + ((this.orientation == 'vertical') ? 4 : 12));
+    var textEl = buildEl('text', {'class': className, 'x': point.x, 'y': point.y});
+    textEl.textContent = text;
 
-    // Update the record of the previous start decade
-    this.decadesEl.setAttribute('start', Math.min(startDecade, prevStartDecade));
+    return textEl;
   }
 
   /*
-  * Adds decade labels to the svg DOM.
-  * 
-  * Side Effect: Mutates the DOM of the element with id 'decades'.
-  * 
-  * StartYr: The earliest year that needs a decade label.
-  * EndYr:   The latest year that needs a decade label.
-  * 
+  * Redraws the events, as lines across the image beside the time axis.
+  *
+  * Side Effect: Replaces the element with id 'events'.
+  *
   * Returns: Nothing.
   */
-  this.addDecadeEls = function () {
-    // Clear existing decades
-    var oldDecadesEl = this.decadesEl;
-    this.decadesEl = buildEl('g', {'end': curDecade}, 'decades');
-    this.decadeOffsetEl.replaceChild(this.decadesEl, oldDecadesEl);
+  this.drawEvents = function() {
+    var newEventsEl = buildEl('g', {}, this.getElId('events'));
 
-    // Clear existing centuries
-    var oldCenturiesEl = this.centuriesEl;
-    this.centuriesEl = buildEl('g', {}, 'centuries');
-    this.decadeOffsetEl.replaceChild(this.centuriesEl, oldCenturiesEl);
+    this.events.forEach(function(event) {
+      var pos = this.yrToPos(event.yr);
+      var from = this.placePoint(pos, this.getAxisSize());
+      var to = this.placePoint(pos, this.getCrossLength());
 
-    // Start at the current decade
-    this.setOffset(0);
+      var eventEl = buildEl('g', {'class': 'event', 'category': event.category});
+      if (this.isMarkerCategoryHidden(event.category)) {
+        eventEl.setAttribute('display', 'none');
+      }
+      eventEl.appendChild(buildEl('path', {
+        'class': 'event markerCategory-' + cleanCategoryName(event.category),
+        'd': 'M ' + from.x + ' ' + from.y + ' L ' + to.x + ' ' + to.y
+      }));
+      eventEl.appendChild(this.buildMarkerLabelEl(event.name, event.yr, 'event'));
+      newEventsEl.appendChild(eventEl);
+    }, this);
 
-    // Generate visible decade labels
-    this.updateDecadeLabels();
+    this.decadeOffsetEl.replaceChild(newEventsEl, this.eventsEl);
+    this.eventsEl = newEventsEl;
   }
 
-  // Methods to manipulate figure bars
-
   /*
-  * Assigns appropriate column indices to each bar element.
-  * 
-  * Side Effect: Reassigns 'colIdx' and 'transform' attributes on each bar element. Resizes the image to accomodate the number of columns.
+  * Redraws the eras, as bands across the image beside the time axis.
   *
-  * Returns: Nothing
+  * Side Effect: Replaces the element with id 'eras'.
+  *
+  * Returns: Nothing.
   */
-  this.assignCols = function() {
-    this.bars.sort(function(a, b) {
-      var endYrDiff = b.effectiveEndYr- a.effectiveEndYr;
-      if (endYrDiff == 0) {
-        return b.startYr - a.startYr;
-      } else {
-        return endYrDiff;
-      }
-    });
+  this.drawEras = function() {
+    var newErasEl = buildEl('g', {}, this.getElId('eras'));
 
-    var colsAvailYr = [];
-    this.bars.forEach(function(bar, idx) {
-      // Find the first column available throught the bar's end year
-      firstAvailColIdx = colsAvailYr.findIndex(function(availYr) {
-        return availYr >= bar.effectiveEndYr;
-      });
+    this.eras.forEach(function(era) {
+      var endYr = (era.endYr === null) ? curYr : era.endYr;
+      var axisSize = this.getAxisSize();
+      var bounds = this.placeRect(this.yrToPos(endYr), axisSize, (endYr - era.startYr) * this.yrHeight, this.getCrossLength() - axisSize);
 
-      if (firstAvailColIdx == -1) {
-        // No column is available for this bar
-        // Add a new one
-        bar.moveToCol(colsAvailYr.length);
-        colsAvailYr.push(bar.startYr);
-      } else {
-        bar.moveToCol(firstAvailColIdx);
-        colsAvailYr[firstAvailColIdx] = bar.startYr;
+      var eraEl = buildEl('g', {'class': 'era', 'category': era.category});
+      if (this.isMarkerCategoryHidden(era.category)) {
+        eraEl.setAttribute('display', 'none');
       }
+      eraEl.appendChild(buildEl('rect', {
+        'class': 'era markerCategory-' + cleanCategoryName(era.category),
+        'x': bounds.x, 'y': bounds.y, 'width': bounds.width, 'height': bounds.height
+      }));
+      eraEl.appendChild(this.buildMarkerLabelEl(era.name, era.startYr, 'era'));
+      newErasEl.appendChild(eraEl);
+    }, this);
 
-      var colIdx = bar.colIdx;
-      var effectiveEndYr = bar.effectiveEndYr;
+    this.decadeOffsetEl.replaceChild(newErasEl, this.erasEl);
+    this.erasEl = newErasEl;
+  }
 
-      var x = colIdx * colWidth;
-      var y = (indexYr - effectiveEndYr) * yrHeight;
-    });
+  // Other "public" methods
+  
+  /*
+  * Generates a url with the image content encoded into it.
+  *
+  * options: Optional. As for getSvgEl.
+  *
+  * Returns: A url with the image content encoded into it.
+  */
+  this.getUrl = function(options) {
+    var svgContent = svgElToText(this.getSvgEl(options));
 
-	// Resize the image width to fit all of the columns plus a blank column
-	this.updateSize(decadeWidth + colWidth * (colsAvailYr.length + 1), this.height);
+    // Construct a URL with serialized content
+    var url = "data:image/svg+xml;charset=utf-8," + encodeURIComponent(svgContent);
 
-    // Move the selected bars (if any) to the foreground
-    var selected = document.getElementsByClassName('selected-bar');
-    for (var idx = 0; idx < selected.length; idx++) {
-      var bar = selected[idx];
-      var gEl = bar.parentNode.parentNode;
-      gEl.parentNode.appendChild(gEl);
-    }
+    return url;
   }
 
-  this.getSelectedBar = function() {
-    return this.selectedBar;
-  }
+  /*
+  * Generates a standalone copy of the image, e.g. for saving as an svg file.
+  * The copy covers the whole timeline, from the current decade back to the start of the axis label holding the
+  * earliest figure's birth, rather than just the part that is scrolled into view. Its styles are in a single embedded
+  * style sheet holding just the rules it uses, and the selection is left out.
+  *
+  * options: Optional. An object with:
+  *   title:      The title of the svg. Defaults to "Horizontal History".
+  *   categories: The names of the categories to include. The bars of other categories are left out, and the
+  *               remaining bars are packed into as few columns as they need. Defaults to the categories that
+  *               aren't hidden. If the legend is shown, it lists just these categories.
+  *   markerCategories: The same for the categories of events and eras. Defaults to those that aren't hidden.
+  *
+  * Returns: The svg element. It is not added to any DOM.
+  */
+  this.getSvgEl = function(options) {
+    options = (options === undefined) ? {} : options;
+    var title = (options.title === undefined) ? "Horizontal History" : options.title;
+    var image = this;
+    var categories = (options.categories === undefined) ? this.getShownCategories() : this.categoryOrder.filter(function(category) {
+      return options.categories.indexOf(category) > -1;
+    });
+    var markerCategories = (options.markerCategories === undefined) ? this.getShownMarkerCategories() : this.markerCategoryOrder.filter(function(category) {
+      return options.markerCategories.indexOf(category) > -1;
+    });
 
-  this.selectBar = function(bar) {
-    if (this.selectedBar !== null) {
-      this.selectedBar.unselect();
-    }
+    var bars = this.bars.filter(function(bar) {
+      return categories.indexOf(bar.category) > -1;
+    });
+    var packing = this.layoutBars(bars, categories);
 
-    if (bar !== null) {
-      bar.select();
-    }
+    var inMarkerCategories = function(item) {
+      return markerCategories.indexOf(item.category) > -1;
+    };
+    var unit = this.getAxisUnit();
+    var earliestYr = bars.reduce(function(earliest, bar) {
+      return Math.min(earliest, bar.getSpan().startYr);
+    }, curYr);
+    earliestYr = this.events.filter(inMarkerCategories).reduce(function(earliest, event) {
+      return Math.min(earliest, event.yr);
+    }, earliestYr);
+    earliestYr = this.eras.filter(inMarkerCategories).reduce(function(earliest, era) {
+      return Math.min(earliest, era.startYr);
+    }, earliestYr);
+    var timeLength = Math.ceil(this.yrToPos(years.getPeriodSpan(years.getPeriodForYr(earliestYr, unit), unit).startYr));
+    var crossLength = this.getCrossLengthFor(packing.colCount, categories, markerCategories);
 
-    this.selectedBar = bar;
+    var oldOuterWidth = this.outerWidth;
+    var oldOuterHeight = this.outerHeight;
+    var oldOffset = this.getOffset();
 
-    wrapCall(this.onselect)(bar);
-  }
+    // Temporarily resize the image to show everything, without telling listeners about it
+    this.eventsMuted = true;
+    if (this.orientation == 'vertical') {
+      this.updateSize(crossLength, timeLength + 1);
+    } else {
+      this.updateSize(timeLength + 1, crossLength);
+    }
+    this.setOffset(0);
 
-  // Default figure background colors to auto-assign
-  // TODO: WARNING: This code may be browser-dependent
-  // Chrome returns color data from css styles as rgb(r, g, b), but other browsers
-  // may format this differently!
-  this.categoryBgColors = [
-    "rgb(102, 204, 255)",
-    "rgb(0, 153, 153)",
-    "rgb(0, 0, 153)",
-    "rgb(153, 153, 255)",
-    "rgb(0, 204, 0)",
-    "rgb(102, 255, 204)",
-    "rgb(0, 153, 0)",
-    "rgb(153, 0, 204)",
-    "rgb(255, 0, 255)",
-    "rgb(255, 0, 0)",
-    "rgb(255, 153, 33)",
-    "rgb(255, 255, 0)",
-    "rgb(153, 102, 0)"
-  ];
+    // Labels are added as the image is scrolled, so start afresh to label exactly what is shown
+    this.resetAxis();
 
-  this.checkCategories = function(category) {
-    // Clone the categoryBgColors
-    var availableBgColors = this.categoryBgColors.slice(0); // Use slice(0) to clone
+    var svgEl = this.svgEl.cloneNode(true);
+    var relationshipsEl = this.buildRelationshipsEl(bars, packing.colIdxs, []);
+    var lanesEl = this.buildLanesEl(bars, packing.lanes);
 
-    // Look through known categories
-    for (var ruleIdx = 0; ruleIdx < this.categoryCss.sheet.cssRules.length; ruleIdx++) {
-      var rule = this.categoryCss.sheet.cssRules[ruleIdx];
+    this.updateSize(oldOuterWidth, oldOuterHeight);
+    this.setOffset(oldOffset);
+    this.resetAxis();
+    this.eventsMuted = false;
 
-      // If a bg color for this category is already defined, we're done
-      if (rule.selectorText == "rect.category-" + category) {
+    // Leave out the bars of other categories, and close up the gaps they leave
+    this.bars.forEach(function(bar) {
+      var barEl = svgEl.querySelector('[id="' + bar.id + '"]');
+      var barIdx = bars.indexOf(bar);
+      if (barIdx == -1) {
+        barEl.parentNode.removeChild(barEl);
         return;
       }
 
-      // Track which colors are already in use, so we don't reuse them
-      if (rule.selectorText.startsWith("rect.category-")) {
-        var color = rule.style.fill;
-        // Remove the color from availableBgColors, if it's in there
-        var colorIdx = availableBgColors.indexOf(color);
-        if (colorIdx > -1) {
-          availableBgColors.splice(colorIdx, 1);
-        }
+      var bounds = bar.getBounds(packing.colIdxs[barIdx]);
+      barEl.setAttribute('transform', "translate(" + bounds.x + ", " + bounds.y + ")");
+      barEl.removeAttribute('display');
+    });
+
+    // Connect the bars in their new columns, and mark out the swimlanes they are in
+    svgEl.querySelector('[id="' + this.getElId('figureRegion') + '"]').replaceChild(relationshipsEl, svgEl.querySelector('[id="' + this.getElId('relationships') + '"]'));
+    svgEl.querySelector('[id="' + this.getElId('figureRegion') + '"]').replaceChild(lanesEl, svgEl.querySelector('[id="' + this.getElId('lanes') + '"]'));
+
+    // The same goes for events and eras
+    Array.prototype.forEach.call(svgEl.querySelectorAll('g.event, g.era'), function(itemEl) {
+      if (markerCategories.indexOf(itemEl.getAttribute('category')) == -1) {
+        itemEl.parentNode.removeChild(itemEl);
+      } else {
+        itemEl.removeAttribute('display');
+      }
+    });
+
+    // List just the categories included
+    var legendEl = this.buildLegendEl(this.showLegend ? categories : [], this.showLegend ? markerCategories : [],
+                                      this.getCrossLengthFor(packing.colCount, [], []));
+    svgEl.replaceChild(legendEl, svgEl.querySelector('[id="' + this.getElId('legend') + '"]'));
+
+    // Leave out the selection, the mouse cursors, the ruler and overview, and the image's own bookkeeping
+    svgEl.querySelectorAll('.selected-bar, .chain-bar, .dimmed, .filteredOut').forEach(function(el) {
+      el.classList.remove('selected-bar', 'chain-bar', 'dimmed', 'filteredOut');
+    });
+    svgEl.querySelector('[id="' + this.getElId('figureRegion') + '"]').removeChild(svgEl.querySelector('[id="' + this.getElId('ruler') + '"]'));
+    svgEl.removeChild(svgEl.querySelector('[id="' + this.getElId('overview') + '"]'));
+    [svgEl].concat(Array.from(svgEl.querySelectorAll('*'))).forEach(function(el) {
+      svgBookkeepingAttrs.concat(svgInteractionAttrs).forEach(function(attr) {
+        el.removeAttribute(attr);
+      });
+    });
+
+    // A file is a picture of the figures included, so it is described as one rather than as a listbox
+    var description = this.getDescription(bars);
+    svgEl.setAttribute('role', 'img');
+    svgEl.setAttribute('aria-label', description);
+    svgEl.querySelector(':scope > title').textContent = description;
+    svgEl.removeChild(svgEl.querySelector(':scope > desc'));
+
+    // Embed the styles that are used
+    var rules = {};
+    for (var selector in imageCssRules) {
+      if (svgEl.querySelector(selector) !== null) {
+        rules[selector] = imageCssRules[selector];
       }
     }
+    var categoryRules = this.getCategoryCssRules(categories, markerCategories);
+    for (var selector in categoryRules) {
+      rules[selector] = categoryRules[selector];
+    }
+    var styleEl = buildEl('style', {'type': 'text/css'});
+    styleEl.textContent = formatCss(rules);
+    svgEl.insertBefore(styleEl, svgEl.firstChild);
 
-    // At this point, the category does not have a color defined. Choose the first available color.
-    var nextBgColor = availableBgColors[0];
-    var colorDetail = parseColor(nextBgColor);
-    var nextFgColor = "rgb(0, 0, 0)";
-    if (colorDetail['l'] < 128) {
-      nextFgColor = "rgb(255, 255, 255)";
+    // Describe the chart, in Dublin Core terms
+    var rdfNS = "http://www.w3.org/1999/02/22-rdf-syntax-ns#";
+    var dcNS = "http://purl.org/dc/elements/1.1/";
+    var xmlnsNS = "http://www.w3.org/2000/xmlns/";
+    var workEl = document.createElementNS(rdfNS, 'rdf:Description');
+    var addDcEl = function(name, text) {
+      var dcEl = document.createElementNS(dcNS, 'dc:' + name);
+      dcEl.textContent = text;
+      workEl.appendChild(dcEl);
+    };
+    addDcEl('title', title);
+    addDcEl('format', 'image/svg+xml');
+    addDcEl('description', bars.length + (bars.length == 1 ? ' figure' : ' figures'));
+    if (bars.length > 0) {
+      var latestYr = bars.reduce(function(latest, bar) {
+        return Math.max(latest, bar.getSpan().endYr);
+      }, earliestYr);
+      addDcEl('coverage', years.formatYr(earliestYr) + "\u2013" + years.formatYr(latestYr));
     }
+    addDcEl('subject', categories.join(', '));
+
+    var rdfEl = document.createElementNS(rdfNS, 'rdf:RDF');
+    rdfEl.appendChild(workEl);
+    var metadataEl = buildEl('metadata', {});
+    metadataEl.appendChild(rdfEl);
+    svgEl.insertBefore(metadataEl, svgEl.firstChild);
+
+    // The title comes first, so that it is what's shown or read out for the image
+    var titleEl = buildEl('title', {});
+    titleEl.textContent = title;
+    svgEl.insertBefore(titleEl, svgEl.firstChild);
 
-    this.categoryCss.appendChild(document.createTextNode("rect.category-" + category + "{fill:" + nextBgColor + "}"));
-    this.categoryCss.appendChild(document.createTextNode("text.category-" + category + "{fill:" + nextFgColor + "}"));
+    svgEl.setAttributeNS(xmlnsNS, 'xmlns', svgNS);
+    svgEl.setAttributeNS(xmlnsNS, 'xmlns:rdf', rdfNS);
+    svgEl.setAttributeNS(xmlnsNS, 'xmlns:dc', dcNS);
+
+    return svgEl;
   }
 
   /*
-  * Generates the svg xml element tree used to render a bar for a historical figure's lifetime.
-  * 
-  * id:       ID to apply to the element.
-  * name:     The historical figure's name to draw on the bar.
-  * startYr:  The year the historical figure was born.
-  * endYr:    The year the historical figure died. Use null to represent still alive.
-  * category: Category.
-  * colIdx:   The column in which the bar should be drawn.
+  * Captures the full state of the image as a chart document (see chartfile.js).
   *
-  * Side effect: Adds a tree of svg elements representing a historical figure to the svg DOM.
-  * 
-  * Returns: An svg xml element tree.
+  * Returns: A chart document at chartDocVersion.
   */
-  this.addBar = function(id, name, startYr, endYr, category) {
-    var bar = new Bar(this, id, name, startYr, endYr, category, 0);
+  this.toDoc = function() {
+    var image = this;
+    var categories = this.categoryOrder.map(function(category) {
+      return {'name': category, 'color': image.categoryColors[category], 'hidden': image.isCategoryHidden(category)};
+    });
+    var markerCategories = this.markerCategoryOrder.map(function(category) {
+      return {'name': category, 'color': image.markerCategoryColors[category], 'hidden': image.isMarkerCategoryHidden(category)};
+    });
 
-    return bar;
+    var bars = this.bars.map(function(bar) {
+      return {
+        'name': bar.name,
+        'startYr': bar.startYr, 'endYr': bar.endYr,
+        'category': bar.category,
+        'startUncertainty': bar.startUncertainty, 'endUncertainty': bar.endUncertainty,
+        'endUnknown': bar.endUnknown,
+        'floruit': bar.floruit,
+        'pinnedColIdx': bar.pinnedColIdx
+      };
+    });
+
+    var docBars = this.bars;
+    var relationships = this.getRelationships().map(function(relationship) {
+      return {
+        'from': docBars.indexOf(relationship.from), 'to': docBars.indexOf(relationship.to),
+        'type': relationship.type,
+        'yr': relationship.yr
+      };
+    });
+
+    var events = this.events.map(function(event) {
+      return {'name': event.name, 'yr': event.yr, 'category': event.category};
+    });
+
+    var eras = this.eras.map(function(era) {
+      return {'name': era.name, 'startYr': era.startYr, 'endYr': era.endYr, 'category': era.category};
+    });
+
+    return {
+      'format': chartfile.chartDocFormat,
+      'version': chartfile.chartDocVersion,
+      'width': this.outerWidth, 'height': this.outerHeight,
+      'offset': Math.round(this.getOffset()),
+      'scale': this.yrHeight,
+      'orientation': this.orientation,
+      'layout': this.layout,
+      'legend': this.showLegend,
+      'palette': this.palette,
+      'categories': categories,
+      'bars': bars,
+      'relationships': relationships,
+      'events': events,
+      'eras': eras,
+      'markerCategories': markerCategories
+    };
   }
 
-  // Other "public" methods
-  
   /*
-  * Generates a url with the image content encoded into it.
+  * Replaces the contents of the image with a chart document.
+  * The document is validated (and migrated, if it is from an older version) before anything is changed.
   *
-  * Returns: A url with the image content encoded into it.
+  * doc: Required. A chart document, e.g. from toDoc or parseChartDoc.
+  *
+  * Side Effect: Clears the image, then recreates the categories, bars, relationships, events, eras and their categories and restores the orientation, layout, size,
+  *              scale, legend, palette and offset.
+  *
+  * Returns: Nothing.
   */
-  this.getUrl = function() {
-    // Create a clone of the image with styles applied directly to the elements
-    var cloneSvgElWithStyle = cloneTreeWithStyle(this.svgEl)
+  this.loadDoc = function(doc) {
+    doc = chartfile.checkChartDoc(doc);
 
-    // Serialize the SVG
-    var xmlSerializer = new XMLSerializer();
-    var svgContent = xmlSerializer.serializeToString(cloneSvgElWithStyle);
-  
-    // Construct a URL with serialized content
-    var standaloneSvgContent = "<?xml version='1.0' ?>" + svgContent;
-    var url = "data:image/svg+xml;charset=utf-8," + encodeURIComponent(standaloneSvgContent);
+    this.clear();
 
-    return url;
+    this.setOrientation(doc.orientation);
+    this.setLayout(doc.layout);
+    this.updateSize(doc.width, doc.height);
+    this.setScale(doc.scale);
+
+    var image = this;
+    doc.categories.forEach(function(category) {
+      image.categoryColors[category.name] = category.color;
+      image.categoryOrder.push(category.name);
+      if (category.hidden) {
+        image.hiddenCategories.push(category.name);
+      }
+    });
+    doc.markerCategories.forEach(function(category) {
+      image.markerCategoryColors[category.name] = category.color;
+      image.markerCategoryOrder.push(category.name);
+      if (category.hidden) {
+        image.hiddenMarkerCategories.push(category.name);
+      }
+    });
+    this.writeCategoryCss();
+    this.showLegend = doc.legend;
+    this.palette = doc.palette;
+    this.drawLegend();
+
+    // Lay out the bars once they are all in place and pinned
+    var bars = this.batchLayout(function() {
+      var bars = doc.bars.map(function(bar) {
+        return image.addBar(image.newBarId(), bar.name, bar.startYr, bar.endYr, bar.category, {
+          'startUncertainty': bar.startUncertainty, 'endUncertainty': bar.endUncertainty,
+          'endUnknown': bar.endUnknown,
+          'floruit': bar.floruit
+        });
+      });
+      doc.bars.forEach(function(bar, idx) {
+        bars[idx].pinnedColIdx = bar.pinnedColIdx;
+      });
+      image.assignCols();
+
+      return bars;
+    });
+
+    doc.relationships.forEach(function(relationship) {
+      image.addRelationship(bars[relationship.from], bars[relationship.to], relationship.type, relationship.yr);
+    });
+
+    doc.events.forEach(function(event) {
+      image.addEvent(event.name, event.yr, event.category);
+    });
+    doc.eras.forEach(function(era) {
+      image.addEra(era.name, era.startYr, era.endYr, era.category);
+    });
+
+    this.setOffset(doc.offset);
   }
 
   /*
   * Generates the svg element and the core layout elements.
   *
-  * The result should look like:
+  * The result should look like this, except that the ids of the elements inside the svg element start with its id
+  * (e.g. "historyImage1-legend"), so that several images can share a page:
   *
-  *  <svg id="image" xmlns="http://www.w3.org/2000/svg" version="1.1" width="221mm" height="331mm" viewbox="-0.5 -0.5 221 331">
+  *  <svg id="historyImage1" xmlns="http://www.w3.org/2000/svg" version="1.1" width="221" height="331" viewBox="-0.5 -0.5 221 331"
+  *       tabindex="0" role="listbox" aria-multiselectable="true" aria-roledescription="timeline">
+  *    <title>Timeline of no figures</title>
+  *    <desc>Use the arrow keys to move between figures, ...</desc>
   *    <rect class="bg" x="0" y="0" width="220" height="330" />
-  *    <g id="decadeoffset">
-  *      <g id="decades" />
-  *      <g id="centuries" />
+  *    <g id="decadeoffset" offset="0">
+  *      <g id="axisLabels" />
+  *      <g id="axisBoundaries" />
+  *      <g id="eras" />
   *      <g id="figureregion" transform="translate(60, 0)">
   *        <g id="figures" />
   *        <rect id="future" class="future" x="0" y="0" width="220" height="0">
+  *        <g id="lanes" class="lanes" />
+  *        <g id="relationships" class="relationships" />
+  *        <g id="ruler" class="ruler" display="none" />
   *      </g>
+  *      <g id="events" />
   *    </g>
+  *    <g id="legend" />
+  *    <g id="overview" aria-hidden="true" />
   *    <rect class="border" x="0" y="0" width="220" height="330" />
   *  </svg>
   *
@@ -675,17 +4320,66 @@ function Image(width, height, parentEl) {
   * Returns: Nothing.
   */
   this.initSvg = function () {
-    image = this;
+    var image = this;
 
     // Root svg element
     this.svgEl = buildEl("svg", {
       'version': '1.1',
-      'width': this.width,
-      'height': this.height,
-      'viewbox': '-0.5 -0.5 ' + this.outerWidth + ' ' + this.outerHeight
-    }, 'image');
+      'width': this.outerWidth,
+      'height': this.outerHeight,
+      'viewBox': '-0.5 -0.5 ' + this.outerWidth + ' ' + this.outerHeight,
+      'tabindex': 0,
+      'role': 'listbox',
+      'aria-multiselectable': 'true',
+      'aria-roledescription': 'timeline'
+    }, this.idPrefix);
+    this.svgEl.onkeydown = function(keyEvent) {
+      image.handleKey(keyEvent);
+    }
+
+    // The description of the image (see drawDescription) and how to use it from the keyboard
+    this.svgTitleEl = buildEl('title', {});
+    this.svgEl.appendChild(this.svgTitleEl);
+    var descEl = buildEl('desc', {});
+    descEl.textContent = keyboardHelp;
+    this.svgEl.appendChild(descEl);
+    this.svgEl.setAttribute('aria-description', keyboardHelp);
+    this.drawDescription();
     this.svgEl.onwheel = function(wheelEvent) {
-      image.updateOffset(wheelEvent['wheelDeltaY']);
+      // Ctrl+wheel zooms, keeping the year under the mouse in place
+      if (wheelEvent.ctrlKey) {
+        wheelEvent.preventDefault();
+        var svgRect = image.svgEl.getBoundingClientRect();
+        var anchor = (image.orientation == 'vertical') ? wheelEvent.clientY - svgRect.top : svgRect.left + image.width - wheelEvent.clientX;
+        image.zoom(wheelEvent.deltaY < 0 ? 1.25 : 1 / 1.25, anchor);
+        return;
+      }
+
+      image.handleWheel(wheelEvent);
+    }
+    this.svgEl.onmousedown = function(mouseEvent) {
+      image.startRubberBand(mouseEvent);
+    }
+
+    // Dragging with a finger or pen, or the middle mouse button, pans through time. Touches are left to the image
+    // rather than scrolling the page.
+    this.svgEl.style.touchAction = 'none';
+    this.svgEl.onpointerdown = function(pointerEvent) {
+      image.startPan(pointerEvent);
+    }
+
+    // The year ruler follows the mouse, except over the overview
+    this.svgEl.onmousemove = function(mouseEvent) {
+      if (image.overviewEl.contains(mouseEvent.target)) {
+        image.hideRuler();
+        return;
+      }
+
+      var point = image.clientToFigureCoords(mouseEvent.clientX, mouseEvent.clientY);
+      image.showRuler(image.posToYr(image.getPointPos(point)));
+    }
+    this.svgEl.onmouseleave = function() {
+      image.hideRuler();
     }
   
     // Background rectangle element
@@ -693,42 +4387,75 @@ function Image(width, height, parentEl) {
       'class': 'bg',
       'x': 0, 'y': 0,
       'width': this.width, 'height': this.height
-    }, 'bg');
+    }, this.getElId('bg'));
   
     this.svgEl.appendChild(this.bgEl);
     
     // DecadeOffset grouping element
-    this.decadeOffsetEl = buildEl('g', {}, 'decadeOffset');
+    this.decadeOffsetEl = buildEl('g', {'offset': 0}, this.getElId('decadeOffset'));
     this.svgEl.appendChild(this.decadeOffsetEl);
   
-    // Decades grouping element
-    this.decadesEl = buildEl('g', {}, 'decades');
-    this.decadeOffsetEl.appendChild(this.decadesEl);
+    // Axis labels grouping element
+    this.axisLabelsEl = buildEl('g', {}, this.getElId('axisLabels'));
+    this.decadeOffsetEl.appendChild(this.axisLabelsEl);
   
-    // Centuries grouping element
-    this.centuriesEl = buildEl('g', {}, 'centuries');
-    this.decadeOffsetEl.appendChild(this.centuriesEl);
+    // Axis boundaries grouping element
+    this.axisBoundariesEl = buildEl('g', {}, this.getElId('axisBoundaries'));
+    this.decadeOffsetEl.appendChild(this.axisBoundariesEl);
+
+    // Eras grouping element (see drawEras), behind the figures
+    this.erasEl = buildEl('g', {}, this.getElId('eras'));
+    this.decadeOffsetEl.appendChild(this.erasEl);
   
-    // FigureRegion grouping element
+    // FigureRegion grouping element, beside (or in horizontal orientation, below) the axis labels
+    var regionCorner = this.placePoint(0, this.getAxisSize());
     this.figureRegionEl = buildEl('g', {
-      'transform': 'translate(' + decadeWidth + ', 0)'
-    }, 'figureRegion');
+      'transform': 'translate(' + regionCorner.x + ', ' + regionCorner.y + ')'
+    }, this.getElId('figureRegion'));
     this.decadeOffsetEl.appendChild(this.figureRegionEl);
   
     // Figures grouping element
-    this.figuresEl = buildEl('g', {}, 'figures');
+    this.figuresEl = buildEl('g', {}, this.getElId('figures'));
     this.figureRegionEl.appendChild(this.figuresEl);
   
     // Future rectangle element
-    var yrsIntoDecade = curYr - (curDecade * 10);
-    var yrsLeftInDecade = 10 - yrsIntoDecade;
-  
-    this.futureEl = buildEl('rect', {
-      'class': 'future',
-      'x': 0, 'y': 0,
-      'width': width - decadeWidth, 'height': yrsLeftInDecade * decadeHeight / 10
-    }, 'future');
+    this.futureEl = buildEl('rect', {'class': 'future'}, this.getElId('future'));
     this.figureRegionEl.appendChild(this.futureEl);
+    this.drawFuture();
+
+    // Swimlanes grouping element (see drawLanes), in front of the figures
+    this.lanesEl = buildEl('g', {'class': 'lanes'}, this.getElId('lanes'));
+    this.figureRegionEl.appendChild(this.lanesEl);
+
+    // Relationships grouping element (see drawRelationships), in front of the figures
+    this.relationshipsEl = buildEl('g', {'class': 'relationships'}, this.getElId('relationships'));
+    this.figureRegionEl.appendChild(this.relationshipsEl);
+
+    // Year ruler element (see showRuler), hidden until the mouse is over the image
+    this.rulerEl = buildEl('g', {'class': 'ruler', 'display': 'none'}, this.getElId('ruler'));
+    this.rulerLineEl = buildEl('path', {'class': 'ruler'});
+    this.rulerEl.appendChild(this.rulerLineEl);
+    this.rulerTextEl = buildEl('text', {'class': 'ruler'});
+    this.rulerEl.appendChild(this.rulerTextEl);
+    this.figureRegionEl.appendChild(this.rulerEl);
+
+    // Events grouping element (see drawEvents), in front of the figures
+    this.eventsEl = buildEl('g', {}, this.getElId('events'));
+    this.decadeOffsetEl.appendChild(this.eventsEl);
+  
+    // Legend grouping element (see drawLegend)
+    this.legendEl = buildEl('g', {}, this.getElId('legend'));
+    this.svgEl.appendChild(this.legendEl);
+
+    // Overview grouping element (see drawOverview). Pressing it jumps through time rather than selecting.
+    this.overviewEl = buildEl('g', {'aria-hidden': 'true'}, this.getElId('overview'));
+    this.overviewEl.onpointerdown = function(pointerEvent) {
+      image.startOverviewDrag(pointerEvent);
+    }
+    this.overviewEl.onmousedown = function(mouseEvent) {
+      mouseEvent.stopPropagation();
+    }
+    this.svgEl.appendChild(this.overviewEl);
   
     // Border rectangle element
     this.borderEl = buildEl('rect', {
@@ -750,33 +4477,75 @@ function Image(width, height, parentEl) {
   * Returns: nothing.
   */
   this.updateSize = function(width, height) {
+    var resized = width != this.outerWidth || height != this.outerHeight;
     this.outerWidth = width;
     this.outerHeight = height;
     this.width = width - 1;
     this.height = height - 1;
     
-    this.svgEl.setAttribute('width', this.width);
-    this.svgEl.setAttribute('height', this.height);
-    this.svgEl.setAttribute('viewbox', '-0.5 -0.5 ' + this.outerWidth + ' ' + this.outerHeight);
+    this.svgEl.setAttribute('width', this.outerWidth);
+    this.svgEl.setAttribute('height', this.outerHeight);
+    this.svgEl.setAttribute('viewBox', '-0.5 -0.5 ' + this.outerWidth + ' ' + this.outerHeight);
     
     this.bgEl.setAttribute('width', this.width);
     this.bgEl.setAttribute('height', this.height);
     
-      var yrsIntoDecade = curYr - (curDecade * 10);
-      var yrsLeftInDecade = 10 - yrsIntoDecade;
-    
-    this.futureEl.setAttribute('width', this.width - decadeWidth);
-    this.futureEl.setAttribute('height', yrsLeftInDecade * decadeHeight / 10);
+    this.drawFuture();
+    this.drawEras();
+    this.drawEvents();
     
     this.borderEl.setAttribute('width', this.width);
     this.borderEl.setAttribute('height', this.height);
+    this.drawOverview();
+
+    // In horizontal orientation, the offset depends on the width
+    this.setOffset(this.getOffset());
+
+    if (resized) {
+      this.emit('resize', this.outerWidth, this.outerHeight);
+    }
+  }
+
+  /*
+  * Sizes the rectangle that covers the part of the current decade that is still to come.
+  *
+  * Side Effect: Changes the position and size of the future rectangle element.
+  *
+  * Returns: Nothing.
+  */
+  this.drawFuture = function() {
+    setAttrs(this.futureEl, this.placeRect(0, 0, this.yrToPos(curYr), this.getCrossLength() - this.getAxisSize()));
+  }
+
+  /*
+  * Takes the image off the page, once it is no longer needed. It can't be used afterwards.
+  *
+  * Side Effect: Removes the svg element and the image's style sheet (and the style sheet all images share, along with
+  *              the last one), stops any scrolling after a swipe, and drops the listeners and on... callbacks.
+  *
+  * Returns: Nothing.
+  */
+  this.destroy = function() {
+    if (this.destroyed) {
+      return;
+    }
+    this.destroyed = true;
+
+    this.stopInertia();
+    if (this.svgEl.parentNode !== null) {
+      this.svgEl.parentNode.removeChild(this.svgEl);
+    }
+    this.categoryCss.parentNode.removeChild(this.categoryCss);
 
-    this.updateDecadeLabels();
+    this.listeners = {};
+    ['onchange', 'ondragbar', 'oneditbar', 'onlayout', 'onorient', 'onremovebars', 'onruler', 'onselect'].forEach(function(name) {
+      this[name] = null;
+    }, this);
   }
 
   this.initSvg();
 
-  this.addDecadeEls();
+  this.resetAxis();
 
   // If parentEl is passed in, automatically add the svg element to it as a child
   if (parentEl !== undefined) {
@@ -786,8 +4555,24 @@ function Image(width, height, parentEl) {
   // Set-up style sheet for figure categories
 
   this.categoryCss = document.createElement('style');
-  this.categoryCss.setAttribute('id', 'categoryCss');
+  this.categoryCss.setAttribute('id', this.getElId('categoryCss'));
   this.categoryCss.type = 'text/css';
 
   document.getElementsByTagName('head')[0].appendChild(this.categoryCss);
 }
+
+// Exports
+exports.HistoryImage = HistoryImage;
+exports.curYr = curYr;
+exports.defaultYrHeight = defaultYrHeight;
+exports.imageCssRules = imageCssRules;
+exports.layoutStrategies = layoutStrategies;
+exports.defaultLayout = defaultLayout;
+exports.relationshipTypes = relationshipTypes;
+exports.imageEventTypes = imageEventTypes;
+exports.wrapCall = wrapCall;
+exports.addObserver = addObserver;
+exports.svgElToText = svgElToText;
+exports.setAttrs = setAttrs;
+exports.buildEl = buildEl;
+}));
@@ -0,0 +1,268 @@
+/*
+* A library of named charts kept in the browser's storage (e.g. localStorage).
+*
+* The library uses these storage keys:
+*   horizontalHistory.index:      The list of charts and which one is current, as JSON:
+*                                 { "current": "<id>", "charts": [ { "id": "<id>", "name": "...", "modified": <ms> } ] }
+*   horizontalHistory.chart.<id>: The chart document (see chartfile.js) for each chart.
+*/
+
+(function (root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define(['exports', './chartfile'], factory);
+  } else if (typeof exports === 'object' && typeof exports.nodeName !== 'string') {
+    factory(exports, require('./chartfile.js'));
+  } else {
+    root.HorizontalHistory = root.HorizontalHistory || {};
+    factory(root.HorizontalHistory, root.HorizontalHistory);
+  }
+}(typeof self !== 'undefined' ? self : this, function (exports, chartfile) {
+
+const libraryKeyPrefix = 'horizontalHistory.';
+const libraryIndexKey = libraryKeyPrefix + 'index';
+const libraryChartKeyPrefix = libraryKeyPrefix + 'chart.';
+
+/*
+* Determines whether an error thrown by the storage means it is out of space.
+* Browsers disagree on how to report this, so check all the known variants.
+*
+* e: Required. The error.
+*
+* Returns: True iff the error is a storage quota error.
+*/
+function isQuotaError(e) {
+  return e.name == 'QuotaExceededError' || e.name == 'NS_ERROR_DOM_QUOTA_REACHED' || e.code == 22 || e.code == 1014;
+}
+
+function ChartLibrary(storage) {
+  this.storage = storage;
+
+  /*
+  * Writes a value to storage.
+  *
+  * key:   Required. The storage key.
+  * value: Required. The string to store.
+  * what:  Required. A description of the value, for error messages.
+  *
+  * Side Effect: Throws an error if the value could not be stored.
+  *
+  * Returns: Nothing.
+  */
+  this.writeItem = function(key, value, what) {
+    try {
+      this.storage.setItem(key, value);
+    } catch (e) {
+      if (isQuotaError(e)) {
+        throw new Error('Could not save ' + what + ': the browser\'s storage is full. Delete some charts, or save this one to a file.');
+      }
+      throw new Error('Could not save ' + what + ': ' + e.message);
+    }
+  }
+
+  /*
+  * Reads the list of charts.
+  *
+  * Side Effect: Throws an error if the list is damaged. Use rebuildIndex to recover from this.
+  *
+  * Returns: The index, as described above. An empty index if the library has never been used.
+  */
+  this.readIndex = function() {
+    var text = this.storage.getItem(libraryIndexKey);
+    if (text === null) {
+      return {'current': null, 'charts': []};
+    }
+
+    var index;
+    try {
+      index = JSON.parse(text);
+    } catch (e) {
+      index = null;
+    }
+    if (!chartfile.isPlainObject(index) || !Array.isArray(index.charts) || !index.charts.every(function(chart) {
+      return chartfile.isPlainObject(chart) && typeof chart.id === 'string' && typeof chart.name === 'string';
+    })) {
+      throw new Error('The list of saved charts is damaged.');
+    }
+
+    return index;
+  }
+
+  this.writeIndex = function(index) {
+    this.writeItem(libraryIndexKey, JSON.stringify(index), 'the list of charts');
+  }
+
+  /*
+  * Recreates the list of charts from the charts found in storage.
+  * Used when the list is damaged; the charts themselves are kept, but their names are lost.
+  *
+  * Side Effect: Replaces the stored index.
+  *
+  * Returns: Nothing.
+  */
+  this.rebuildIndex = function() {
+    var charts = [];
+    for (var idx = 0; idx < this.storage.length; idx++) {
+      var key = this.storage.key(idx);
+      if (key.startsWith(libraryChartKeyPrefix)) {
+        charts.push({
+          'id': key.substring(libraryChartKeyPrefix.length),
+          'name': 'Recovered chart ' + (charts.length + 1),
+          'modified': Date.now()
+        });
+      }
+    }
+
+    this.writeIndex({'current': null, 'charts': charts});
+  }
+
+  this.findChart = function(index, id) {
+    var chart = index.charts.find(function(chart) { return chart.id == id; });
+    if (chart === undefined) {
+      throw new Error('There is no saved chart with id ' + id + '.');
+    }
+
+    return chart;
+  }
+
+  /*
+  * Lists the charts in the library.
+  *
+  * Returns: An array of { 'id', 'name', 'modified' } objects, in the order they were created.
+  */
+  this.list = function() {
+    return this.readIndex().charts.slice(0);
+  }
+
+  /*
+  * Gets the chart that was last being worked on.
+  *
+  * Returns: The chart id, or null if there isn't one.
+  */
+  this.getCurrentId = function() {
+    var index = this.readIndex();
+    var current = index.charts.find(function(chart) { return chart.id == index.current; });
+
+    return (current === undefined) ? null : current.id;
+  }
+
+  this.setCurrentId = function(id) {
+    var index = this.readIndex();
+    index.current = id;
+    this.writeIndex(index);
+  }
+
+  /*
+  * Adds a chart to the library.
+  *
+  * name: Required. The chart name.
+  * doc:  Required. The chart document.
+  *
+  * Side Effect: Writes the chart to storage.
+  *
+  * Returns: The new chart's id.
+  */
+  this.create = function(name, doc) {
+    var index = this.readIndex();
+    var id = Date.now().toString(36) + Math.floor(Math.random() * 1e6).toString(36);
+
+    this.writeItem(libraryChartKeyPrefix + id, JSON.stringify(doc), '"' + name + '"');
+    index.charts.push({'id': id, 'name': name, 'modified': Date.now()});
+    try {
+      this.writeIndex(index);
+    } catch (e) {
+      this.storage.removeItem(libraryChartKeyPrefix + id);
+      throw e;
+    }
+
+    return id;
+  }
+
+  /*
+  * Replaces the contents of a chart.
+  *
+  * id:  Required. The chart id.
+  * doc: Required. The chart document.
+  *
+  * Side Effect: Writes the chart to storage.
+  *
+  * Returns: Nothing.
+  */
+  this.save = function(id, doc) {
+    var index = this.readIndex();
+    var chart = this.findChart(index, id);
+
+    this.writeItem(libraryChartKeyPrefix + id, JSON.stringify(doc), '"' + chart.name + '"');
+    chart.modified = Date.now();
+    this.writeIndex(index);
+  }
+
+  /*
+  * Reads a chart.
+  *
+  * id: Required. The chart id.
+  *
+  * Side Effect: Throws an error if the chart is missing or damaged.
+  *
+  * Returns: The chart document, checked and migrated to chartDocVersion.
+  */
+  this.load = function(id) {
+    var chart = this.findChart(this.readIndex(), id);
+
+    var text = this.storage.getItem(libraryChartKeyPrefix + id);
+    if (text === null) {
+      throw new Error('The saved chart "' + chart.name + '" is missing from the browser\'s storage.');
+    }
+
+    try {
+      return chartfile.parseChartDoc(text);
+    } catch (e) {
+      throw new Error('The saved chart "' + chart.name + '" is damaged. ' + e.message);
+    }
+  }
+
+  this.rename = function(id, name) {
+    var index = this.readIndex();
+    this.findChart(index, id).name = name;
+    this.writeIndex(index);
+  }
+
+  /*
+  * Copies a chart.
+  *
+  * id:   Required. The id of the chart to copy.
+  * name: Required. The name of the copy.
+  *
+  * Side Effect: Writes the copy to storage.
+  *
+  * Returns: The copy's id.
+  */
+  this.duplicate = function(id, name) {
+    return this.create(name, this.load(id));
+  }
+
+  /*
+  * Deletes a chart.
+  *
+  * id: Required. The chart id.
+  *
+  * Side Effect: Removes the chart from storage. If it was the current chart, there is no longer a current chart.
+  *
+  * Returns: Nothing.
+  */
+  this.remove = function(id) {
+    var index = this.readIndex();
+    this.findChart(index, id);
+
+    index.charts = index.charts.filter(function(chart) { return chart.id != id; });
+    if (index.current == id) {
+      index.current = null;
+    }
+    this.writeIndex(index);
+
+    this.storage.removeItem(libraryChartKeyPrefix + id);
+  }
+}
+
+// Exports
+exports.ChartLibrary = ChartLibrary;
+}));
@@ -0,0 +1,236 @@
+/*
+* Encoding charts into the hash of a URL, so a chart can be shared as a link.
+*
+* The hash looks like "#chart=<scheme>.<checksum>.<data>", where:
+*   scheme:   'z' if data is deflated, or 'b' if it is not (for browsers without CompressionStream).
+*             Either way, data is base64url-encoded UTF-8.
+*   checksum: A hash of the packed document text, used to detect links that were cut short or edited.
+*   data:     The packed chart document (see packChartDoc).
+*/
+
+(function (root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define(['exports', './chartfile'], factory);
+  } else if (typeof exports === 'object' && typeof exports.nodeName !== 'string') {
+    factory(exports, require('./chartfile.js'));
+  } else {
+    root.HorizontalHistory = root.HorizontalHistory || {};
+    factory(root.HorizontalHistory, root.HorizontalHistory);
+  }
+}(typeof self !== 'undefined' ? self : this, function (exports, chartfile) {
+
+const permalinkPrefix = 'chart=';
+
+/*
+* Shrinks a chart document before encoding it.
+* Lists of objects (e.g. the bars) are stored as a list of keys followed by rows of values,
+* so the keys aren't repeated for every figure; a key missing from an object comes back as null.
+* The image size is dropped, since the chart should fit whatever window the link is opened in.
+*
+* doc: Required. A chart document, as returned by HistoryImage.toDoc.
+*
+* Returns: The packed document.
+*/
+function packChartDoc(doc) {
+  var packed = {};
+  for (var key in doc) {
+    if (key == 'width' || key == 'height') {
+      continue;
+    }
+
+    var value = doc[key];
+    if (Array.isArray(value) && value.length > 0 && value.every(chartfile.isPlainObject)) {
+      var cols = [];
+      value.forEach(function(item) {
+        Object.keys(item).forEach(function(col) {
+          if (cols.indexOf(col) == -1) {
+            cols.push(col);
+          }
+        });
+      });
+      packed[key] = {
+        '$cols': cols,
+        '$rows': value.map(function(item) {
+          return cols.map(function(col) { return item[col]; });
+        })
+      };
+    } else {
+      packed[key] = value;
+    }
+  }
+
+  return packed;
+}
+
+/*
+* Reverses packChartDoc.
+*
+* packed: Required. A packed chart document.
+* width:  Required. The image width to restore into the document.
+* height: Required. The image height to restore into the document.
+*
+* Returns: The chart document. It has not been checked yet.
+*/
+function unpackChartDoc(packed, width, height) {
+  if (!chartfile.isPlainObject(packed)) {
+    throw new Error('Invalid chart link: the chart data is not an object');
+  }
+
+  var doc = {'width': width, 'height': height};
+  for (var key in packed) {
+    var value = packed[key];
+    if (chartfile.isPlainObject(value) && Array.isArray(value['$cols']) && Array.isArray(value['$rows'])) {
+      var cols = value['$cols'];
+      doc[key] = value['$rows'].map(function(row) {
+        var item = {};
+        cols.forEach(function(col, colIdx) {
+          item[col] = Array.isArray(row) ? row[colIdx] : undefined;
+        });
+        return item;
+      });
+    } else {
+      doc[key] = value;
+    }
+  }
+
+  return doc;
+}
+
+/*
+* Calculates a 32-bit FNV-1a hash of a string.
+*
+* text: Required. The string to hash.
+*
+* Returns: The hash, in base 36.
+*/
+function permalinkChecksum(text) {
+  var hash = 0x811c9dc5;
+  for (var idx = 0; idx < text.length; idx++) {
+    hash ^= text.charCodeAt(idx);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return (hash >>> 0).toString(36);
+}
+
+function bytesToBase64Url(bytes) {
+  var binary = '';
+  for (var idx = 0; idx < bytes.length; idx++) {
+    binary += String.fromCharCode(bytes[idx]);
+  }
+
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(data) {
+  var binary = atob(data.replace(/-/g, '+').replace(/_/g, '/'));
+  var bytes = new Uint8Array(binary.length);
+  for (var idx = 0; idx < binary.length; idx++) {
+    bytes[idx] = binary.charCodeAt(idx);
+  }
+
+  return bytes;
+}
+
+/*
+* Runs bytes through a CompressionStream or DecompressionStream.
+*
+* bytes:  Required. The input.
+* stream: Required. The (de)compression stream.
+*
+* Returns: A promise of the output bytes.
+*/
+function pipeBytes(bytes, stream) {
+  var output = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Response(output).arrayBuffer().then(function(buffer) {
+    return new Uint8Array(buffer);
+  });
+}
+
+/*
+* Encodes a chart document for the hash of a URL.
+*
+* doc: Required. A chart document, as returned by HistoryImage.toDoc.
+*
+* Returns: A promise of the hash, without the leading '#'.
+*/
+function encodePermalink(doc) {
+  var text = JSON.stringify(packChartDoc(doc));
+  var checksum = permalinkChecksum(text);
+  var bytes = new TextEncoder().encode(text);
+
+  if (typeof CompressionStream === 'undefined') {
+    return Promise.resolve(permalinkPrefix + 'b.' + checksum + '.' + bytesToBase64Url(bytes));
+  }
+
+  return pipeBytes(bytes, new CompressionStream('deflate-raw')).then(function(compressed) {
+    return permalinkPrefix + 'z.' + checksum + '.' + bytesToBase64Url(compressed);
+  });
+}
+
+/*
+* Determines whether a URL hash holds a chart.
+*
+* hash: Required. The hash, with or without the leading '#'.
+*
+* Returns: True iff the hash was made by encodePermalink (although it may since have been damaged).
+*/
+function isPermalink(hash) {
+  return hash.replace(/^#/, '').startsWith(permalinkPrefix);
+}
+
+/*
+* Decodes a chart document from the hash of a URL.
+*
+* hash:   Required. The hash, with or without the leading '#'.
+* width:  Required. The image width to use for the chart.
+* height: Required. The image height to use for the chart.
+*
+* Returns: A promise of the chart document, checked and migrated to chartDocVersion.
+*          The promise is rejected if the link is incomplete, edited or otherwise unreadable.
+*/
+function decodePermalink(hash, width, height) {
+  var damaged = function() {
+    return new Error('Invalid chart link: the link is incomplete or has been changed. Check that the whole link was copied.');
+  };
+
+  var parts = /^#?chart=([a-z])\.([0-9a-z]+)\.(.*)$/.exec(hash);
+  if (parts === null) {
+    return Promise.reject(damaged());
+  }
+  var scheme = parts[1];
+  var checksum = parts[2];
+  var data = parts[3];
+
+  var bytesPromise = new Promise(function(resolve) {
+    resolve(base64UrlToBytes(data));
+  });
+  if (scheme == 'z') {
+    if (typeof DecompressionStream === 'undefined') {
+      return Promise.reject(new Error('Invalid chart link: this browser cannot read compressed chart links'));
+    }
+    bytesPromise = bytesPromise.then(function(bytes) {
+      return pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+    });
+  } else if (scheme != 'b') {
+    return Promise.reject(new Error('Invalid chart link: unknown encoding "' + scheme + '"'));
+  }
+
+  return bytesPromise.then(function(bytes) {
+    return new TextDecoder('utf-8', {'fatal': true}).decode(bytes);
+  }).catch(function() {
+    throw damaged();
+  }).then(function(text) {
+    if (permalinkChecksum(text) !== checksum) {
+      throw damaged();
+    }
+
+    return chartfile.checkChartDoc(unpackChartDoc(JSON.parse(text), width, height));
+  });
+}
+
+// Exports
+exports.encodePermalink = encodePermalink;
+exports.isPermalink = isPermalink;
+exports.decodePermalink = decodePermalink;
+}));
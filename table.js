@@ -0,0 +1,321 @@
+/*
+* Reading and writing figures as delimited text tables (CSV or TSV), e.g. for spreadsheets.
+*
+* Quoting follows the usual spreadsheet conventions: a field may be wrapped in double quotes,
+* inside which delimiters and line breaks are literal and "" stands for a single ".
+*/
+
+(function (root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define(['exports', './years'], factory);
+  } else if (typeof exports === 'object' && typeof exports.nodeName !== 'string') {
+    factory(exports, require('./years.js'));
+  } else {
+    root.HorizontalHistory = root.HorizontalHistory || {};
+    factory(root.HorizontalHistory, root.HorizontalHistory);
+  }
+}(typeof self !== 'undefined' ? self : this, function (exports, years) {
+
+// The figure fields a table column can be mapped to, in the default column order
+const tableFields = ['name', 'startYr', 'endYr', 'category'];
+
+// Column titles used when exporting, and recognized (case-insensitively) when importing
+const tableFieldTitles = {
+  'name': 'Name',
+  'startYr': 'Start Year',
+  'endYr': 'End Year',
+  'category': 'Category'
+};
+
+// Other header titles recognized for each field when importing
+const tableFieldAliases = {
+  'name': ['name', 'figure', 'person', 'who', 'full name'],
+  'startYr': ['start', 'start year', 'startyr', 'born', 'birth', 'birth year', 'from'],
+  'endYr': ['end', 'end year', 'endyr', 'died', 'death', 'death year', 'to'],
+  'category': ['category', 'group', 'type', 'occupation', 'role']
+};
+
+/*
+* Guesses the delimiter of a table by looking at its first line.
+*
+* text: Required. The table contents.
+*
+* Returns: A tab, semicolon or comma.
+*/
+function guessDelimiter(text) {
+  var firstLine = text.split(/\r?\n/, 1)[0];
+
+  var best = ',';
+  var bestCount = 0;
+  ['\t', ';', ','].forEach(function(delimiter) {
+    var count = firstLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+
+  return best;
+}
+
+/*
+* Splits delimited text into rows of fields.
+*
+* text:      Required. The table contents.
+* delimiter: Optional. The field delimiter. Guessed from the first line if not given.
+*
+* Returns: An array of rows, each an array of field strings. Blank lines are skipped.
+*/
+function parseTable(text, delimiter) {
+  if (delimiter === undefined) {
+    delimiter = guessDelimiter(text);
+  }
+
+  var rows = [];
+  var row = [];
+  var field = '';
+  var inQuotes = false;
+  var fieldQuoted = false;
+
+  var endField = function() {
+    row.push(fieldQuoted ? field : field.trim());
+    field = '';
+    fieldQuoted = false;
+  };
+  var endRow = function() {
+    endField();
+    // Skip blank lines
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  for (var idx = 0; idx < text.length; idx++) {
+    var ch = text[idx];
+
+    if (inQuotes) {
+      if (ch == '"') {
+        if (text[idx + 1] == '"') {
+          field += '"';
+          idx++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+    } else if (ch == '"' && field.trim() === '') {
+      inQuotes = true;
+      fieldQuoted = true;
+      field = '';
+    } else if (ch == delimiter) {
+      endField();
+    } else if (ch == '\r' && text[idx + 1] == '\n') {
+      // Handled along with the '\n'
+    } else if (ch == '\n' || ch == '\r') {
+      endRow();
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== '' || fieldQuoted || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/*
+* Determines which figure field a header title refers to.
+*
+* title: Required. The header title.
+*
+* Returns: A field from tableFields, or null if the title isn't recognized.
+*/
+function fieldForTitle(title) {
+  var normalized = title.trim().toLowerCase().replace(/[_-]/g, ' ');
+
+  for (var idx = 0; idx < tableFields.length; idx++) {
+    var field = tableFields[idx];
+    if (normalized == tableFieldTitles[field].toLowerCase() || tableFieldAliases[field].indexOf(normalized) > -1) {
+      return field;
+    }
+  }
+
+  return null;
+}
+
+/*
+* Determines whether the first row of a table is a header.
+* It is if any of its fields is a recognized title, or if it has no year where the second row has one.
+*
+* rows: Required. The table rows, as returned by parseTable.
+*
+* Returns: True iff the first row looks like a header.
+*/
+function detectTableHeader(rows) {
+  if (rows.length == 0) {
+    return false;
+  }
+
+  if (rows[0].some(function(title) { return fieldForTitle(title) !== null; })) {
+    return true;
+  }
+
+  if (rows.length < 2) {
+    return false;
+  }
+
+  var isYr = function(value) { return !isNaN(years.parseYr(value)); };
+  return !rows[0].some(isYr) && rows[1].some(isYr);
+}
+
+/*
+* Works out which column holds each figure field.
+*
+* rows:      Required. The table rows, as returned by parseTable.
+* hasHeader: Required. Whether the first row is a header.
+*
+* Returns: An object mapping each field in tableFields to a column index, or to -1 if no column holds it.
+*          Without a header (or for fields the header doesn't name) the columns are assumed to be in tableFields order.
+*/
+function guessTableMapping(rows, hasHeader) {
+  var columnCount = rows.reduce(function(max, row) { return Math.max(max, row.length); }, 0);
+
+  var mapping = {};
+  if (hasHeader) {
+    rows[0].forEach(function(title, colIdx) {
+      var field = fieldForTitle(title);
+      if (field !== null && !(field in mapping)) {
+        mapping[field] = colIdx;
+      }
+    });
+  }
+
+  // Fall back on the default column order for anything not found in the header
+  tableFields.forEach(function(field, fieldIdx) {
+    if (field in mapping) {
+      return;
+    }
+    if (!hasHeader && fieldIdx < columnCount) {
+      mapping[field] = fieldIdx;
+    } else {
+      mapping[field] = -1;
+    }
+  });
+
+  return mapping;
+}
+
+/*
+* Converts table rows into figures, checking each one.
+*
+* rows:      Required. The table rows, as returned by parseTable.
+* mapping:   Required. The column for each field, as returned by guessTableMapping.
+* hasHeader: Required. Whether the first row is a header (and so should be skipped).
+*
+* Returns: An array with one entry per data row:
+*          { 'row': row number in the table (counting from 1, including the header),
+*            'name', 'startYr', 'endYr', 'category': the figure's values, with years in astronomical numbering,
+*            'startUncertainty', 'endUncertainty', 'endUnknown', 'floruit': how certain the years are (see parseYrSpan),
+*            'errors': an array of messages; the figure can only be imported if this is empty }
+*/
+function readTableFigures(rows, mapping, hasHeader) {
+  var firstIdx = hasHeader ? 1 : 0;
+
+  var figures = [];
+  for (var rowIdx = firstIdx; rowIdx < rows.length; rowIdx++) {
+    var row = rows[rowIdx];
+    var get = function(field) {
+      var colIdx = mapping[field];
+      if (colIdx < 0 || colIdx >= row.length) {
+        return '';
+      }
+      return row[colIdx];
+    };
+
+    var span = years.parseYrSpan(get('startYr'), get('endYr'));
+    var figure = {
+      'row': rowIdx + 1,
+      'name': get('name'),
+      'startYr': span.startYr, 'endYr': span.endYr,
+      'category': get('category'),
+      'startUncertainty': span.dates.startUncertainty, 'endUncertainty': span.dates.endUncertainty,
+      'endUnknown': span.dates.endUnknown,
+      'floruit': span.dates.floruit,
+      'errors': []
+    };
+
+    if (figure.name === '') {
+      figure.errors.push('Name is missing');
+    }
+    figure.errors = figure.errors.concat(span.errors);
+
+    figures.push(figure);
+  }
+
+  return figures;
+}
+
+/*
+* Formats a single table field, quoting it if necessary.
+*
+* value:     Required. The field value. null is written as an empty field.
+* delimiter: Required. The field delimiter.
+*
+* Returns: The field text.
+*/
+function formatTableField(value, delimiter) {
+  var str = (value === null || value === undefined) ? '' : String(value);
+
+  if (str.indexOf(delimiter) > -1 || /["\r\n]/.test(str) || str.trim() !== str) {
+    return '"' + str.replace(/"/g, '""') + '"';
+  }
+
+  return str;
+}
+
+/*
+* Formats figures as a delimited table with a header row.
+*
+* figures:   Required. Objects with name, startYr, endYr and category properties, and the properties saying how certain
+*            the years are (see parseYrSpan), e.g. a HistoryImage's bars.
+* delimiter: Optional. The field delimiter. Defaults to a comma.
+*
+* Returns: The table contents.
+*/
+function formatTable(figures, delimiter) {
+  if (delimiter === undefined) {
+    delimiter = ',';
+  }
+
+  var formatRow = function(values) {
+    return values.map(function(value) {
+      return formatTableField(value, delimiter);
+    }).join(delimiter);
+  };
+
+  var lines = [formatRow(tableFields.map(function(field) { return tableFieldTitles[field]; }))];
+  figures.forEach(function(figure) {
+    lines.push(formatRow([
+      figure.name,
+      years.formatStartYr(figure.startYr, figure),
+      years.formatEndYr(figure.endYr, figure),
+      figure.category
+    ]));
+  });
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Exports
+exports.tableFields = tableFields;
+exports.tableFieldTitles = tableFieldTitles;
+exports.parseTable = parseTable;
+exports.detectTableHeader = detectTableHeader;
+exports.guessTableMapping = guessTableMapping;
+exports.readTableFigures = readTableFigures;
+exports.formatTable = formatTable;
+}));
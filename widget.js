@@ -0,0 +1,103 @@
+/*
+* The chart as a widget, for embedding in other pages and apps.
+*
+* The widget is made of the chart's own modules, years.js, colors.js, chartfile.js and image.js, which it loads itself:
+*   as a CommonJS module, require('./widget.js'),
+*   as an AMD module, or
+*   as an ES module through a bundler (or in node), through widget.mjs.
+* In a page without a module loader, the four modules and then this file are loaded with script tags, and it all goes
+* in a HorizontalHistory global. Either way, the page needs image.css, which styles the charts.
+* The app's other modules are loaded the same way when they are wanted, e.g. edithistory.js for undoable edits or
+* export.js for exporting; the widget doesn't need them.
+*
+* For example:
+*   var chart = HorizontalHistory.create(document.getElementById('chart'), {
+*     'height': 600,
+*     'doc': doc,
+*     'on': {'select': function(bar, bars) { ... }}
+*   });
+*   chart.goToYr(1685);
+*   chart.destroy();
+*/
+(function (root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define(['exports', './image', './chartfile'], factory);
+  } else if (typeof exports === 'object' && typeof exports.nodeName !== 'string') {
+    factory(exports, require('./image.js'), require('./chartfile.js'));
+  } else {
+    root.HorizontalHistory = root.HorizontalHistory || {};
+    factory(root.HorizontalHistory, root.HorizontalHistory, root.HorizontalHistory);
+  }
+}(typeof self !== 'undefined' ? self : this, function (exports, image, chartfile) {
+
+  // The options create accepts, and what they are if they aren't given
+  const defaultOptions = {
+    'width': 221,
+    'height': 381,
+    'orientation': 'vertical',
+    'layout': image.defaultLayout,
+    'yrHeight': image.defaultYrHeight,
+    'showLegend': false,
+    'doc': null,
+    'on': {}
+  };
+
+  /*
+  * Makes a chart.
+  *
+  * parentEl: Required. The element to add the chart to.
+  * options:  Optional. An object with any of:
+  *             width, height: The size of the chart, in pixels. It grows across the time axis to fit the figures.
+  *             orientation:   'vertical' (the default) or 'horizontal' (see HistoryImage.setOrientation).
+  *             layout:        How figures are arranged into columns, one of layoutStrategies.
+  *             yrHeight:      The time scale, in pixels per year.
+  *             showLegend:    Whether to show the legend.
+  *             doc:           A chart document to show (see HistoryImage.loadDoc). Its own size, orientation, layout,
+  *                            scale and legend take the place of the options above.
+  *             on:            Listeners to add, keyed by event type (see HistoryImage.on).
+  *
+  * Returns: The chart, a HistoryImage. Throws an error if an option isn't known, or the document isn't valid.
+  */
+  function create(parentEl, options) {
+    if (options === undefined) {
+      options = {};
+    }
+    for (var name in options) {
+      if (!(name in defaultOptions)) {
+        throw new Error('Unknown chart option "' + name + '"');
+      }
+    }
+    var get = function(name) {
+      return (options[name] === undefined) ? defaultOptions[name] : options[name];
+    };
+
+    var chart = new image.HistoryImage(get('width'), get('height'), parentEl);
+    try {
+      chart.setOrientation(get('orientation'));
+      chart.setLayout(get('layout'));
+      chart.setScale(get('yrHeight'));
+      chart.setLegendShown(get('showLegend'));
+      if (get('doc') !== null) {
+        chart.loadDoc(get('doc'));
+      }
+
+      var listeners = get('on');
+      for (var type in listeners) {
+        chart.on(type, listeners[type]);
+      }
+    } catch (e) {
+      chart.destroy();
+      throw e;
+    }
+
+    return chart;
+  }
+
+  // Exports
+  exports.create = create;
+  exports.HistoryImage = image.HistoryImage;
+  exports.eventTypes = image.imageEventTypes.slice(0);
+  exports.emptyChartDoc = chartfile.emptyChartDoc;
+  exports.parseChartDoc = chartfile.parseChartDoc;
+  exports.stringifyChartDoc = chartfile.stringifyChartDoc;
+}));
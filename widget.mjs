@@ -0,0 +1,14 @@
+/*
+* The chart widget (see widget.js) as an ES module.
+* widget.js and the modules it's made of are CommonJS modules, so this works in node and through bundlers, which load
+* those, but not as a plain <script type="module"> in a browser.
+*/
+import HorizontalHistory from './widget.js';
+
+export default HorizontalHistory;
+export const create = HorizontalHistory.create;
+export const HistoryImage = HorizontalHistory.HistoryImage;
+export const eventTypes = HorizontalHistory.eventTypes;
+export const emptyChartDoc = HorizontalHistory.emptyChartDoc;
+export const parseChartDoc = HorizontalHistory.parseChartDoc;
+export const stringifyChartDoc = HorizontalHistory.stringifyChartDoc;
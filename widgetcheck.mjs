@@ -0,0 +1,37 @@
+/*
+* Checks that the chart widget loads as a module on its own: run with `node widgetcheck.mjs`.
+* It loads widget.js with require and widget.mjs with import, and checks that they give the same widget, that the
+* widget has what it should, and that loading it (or any of the app's other modules) didn't add any globals.
+*/
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const globalsBefore = Object.getOwnPropertyNames(globalThis);
+
+const required = require('./widget.js');
+const imported = await import('./widget.mjs');
+const appModules = ['table', 'export', 'wikidata', 'library', 'permalink', 'edithistory'].map(name => require('./' + name + '.js'));
+
+assert.equal(imported.default, required);
+for (const name of ['create', 'HistoryImage', 'emptyChartDoc', 'parseChartDoc', 'stringifyChartDoc']) {
+  assert.equal(typeof required[name], 'function', name + ' should be a function');
+  assert.equal(imported[name], required[name], name + ' should be the same through import and require');
+}
+assert.ok(Array.isArray(required.eventTypes) && required.eventTypes.includes('select'));
+const [table, exporting, wikidata, library, permalink, edithistory] = appModules;
+for (const func of [table.parseTable, exporting.exportPng, wikidata.readWikidataFigures, library.ChartLibrary,
+                    permalink.decodePermalink, edithistory.EditHistory, edithistory.addBarCommand]) {
+  assert.equal(typeof func, 'function');
+}
+
+assert.deepEqual(Object.getOwnPropertyNames(globalThis).filter(name => !globalsBefore.includes(name)), []);
+for (const name of ['HorizontalHistory', 'HistoryImage', 'defaultLayout', 'curYr', 'formatYr', 'checkChartDoc',
+                    'tableFields', 'cssDpi', 'crc32', 'wikidataHuman', 'EditHistory']) {
+  assert.ok(!(name in globalThis), name + ' should not be a global');
+}
+
+const doc = required.emptyChartDoc(221, 381);
+assert.deepEqual(required.parseChartDoc(required.stringifyChartDoc(doc)), doc);
+
+console.log('ok');
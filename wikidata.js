@@ -0,0 +1,304 @@
+/*
+* Reading figures from Wikidata entity JSON saved on disk, so no network is needed.
+*
+* Either form Wikidata provides works:
+*   Special:EntityData files:  { "entities": { "Q1339": { ... } } }
+*   dumps:                     one entity per line, optionally inside a JSON array with a comma after each line
+*
+* A figure's name is its label, its years are its date of birth (P569) and date of death (P570), and its category is
+* the value of a chosen property, such as occupation (P106).
+*/
+
+(function (root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define(['exports', './years', './image'], factory);
+  } else if (typeof exports === 'object' && typeof exports.nodeName !== 'string') {
+    factory(exports, require('./years.js'), require('./image.js'));
+  } else {
+    root.HorizontalHistory = root.HorizontalHistory || {};
+    factory(root.HorizontalHistory, root.HorizontalHistory, root.HorizontalHistory);
+  }
+}(typeof self !== 'undefined' ? self : this, function (exports, years, image) {
+
+// Properties a figure's category can be taken from, keyed by property id
+const wikidataCategoryProperties = {
+  'P106': 'Occupation',
+  'P27': 'Country of citizenship',
+  'P101': 'Field of work',
+  'P135': 'Movement',
+  'P1412': 'Languages spoken or written'
+};
+
+const wikidataBirthProperty = 'P569';
+const wikidataDeathProperty = 'P570';
+const wikidataHuman = 'Q5';
+
+// A figure with no date of death who was born longer ago than this is taken to have died at an unknown date,
+// rather than to be still living
+const wikidataMaxLifespan = 120;
+
+// The size of the period each precision of a Wikidata time value covers, in years. Coarser precisions can't be drawn.
+const wikidataPrecisionYrs = {
+  6: 1000,
+  7: 100,
+  8: 10
+};
+const wikidataYrPrecision = 9;
+
+/*
+* Parses Wikidata entity JSON.
+*
+* text: Required. The file contents.
+*
+* Returns: An array of the entities in it. Throws an error if the text isn't Wikidata entity JSON.
+*/
+function parseWikidataEntities(text) {
+  var toEntities = function(value) {
+    if (Array.isArray(value)) {
+      return value.reduce(function(entities, item) {
+        return entities.concat(toEntities(item));
+      }, []);
+    }
+    if (typeof value !== 'object' || value === null) {
+      return [];
+    }
+    if (typeof value.entities === 'object' && value.entities !== null) {
+      return Object.keys(value.entities).map(function(id) {
+        return value.entities[id];
+      });
+    }
+
+    return (typeof value.id === 'string') ? [value] : [];
+  };
+
+  var entities;
+  try {
+    entities = toEntities(JSON.parse(text));
+  } catch (e) {
+    // Not a single JSON value, so read it as a dump with one entity per line
+    entities = [];
+    text.split(/\r?\n/).forEach(function(line, lineIdx) {
+      line = line.trim().replace(/,$/, '');
+      if (line === '' || line == '[' || line == ']') {
+        return;
+      }
+
+      try {
+        entities = entities.concat(toEntities(JSON.parse(line)));
+      } catch (lineError) {
+        throw new Error('Line ' + (lineIdx + 1) + ' is not valid JSON (' + lineError.message + ')');
+      }
+    });
+  }
+
+  if (entities.length == 0) {
+    throw new Error('No Wikidata entities were found');
+  }
+
+  return entities;
+}
+
+/*
+* Gets the statement Wikidata ranks best for a property of an entity.
+*
+* entity:   Required. The entity.
+* property: Required. The property id, e.g. 'P569'.
+*
+* Returns: The statement's main snak, or null if the entity has no (non-deprecated) statement for the property.
+*/
+function getWikidataSnak(entity, property) {
+  var statements = (entity.claims && Array.isArray(entity.claims[property])) ? entity.claims[property] : [];
+
+  var best = null;
+  statements.forEach(function(statement) {
+    if (statement.rank == 'deprecated' || !statement.mainsnak) {
+      return;
+    }
+    if (best === null || (statement.rank == 'preferred' && best.rank != 'preferred')) {
+      best = statement;
+    }
+  });
+
+  return (best === null) ? null : best.mainsnak;
+}
+
+/*
+* Gets an entity's label.
+*
+* entity:   Required. The entity.
+* language: Required. The language code to prefer, e.g. 'en'.
+*
+* Returns: The label in that language, or failing that the multilingual label or any other one, or null if it has none.
+*/
+function getWikidataLabel(entity, language) {
+  var labels = entity.labels || {};
+  var label = labels[language] || labels['mul'] || labels[Object.keys(labels)[0]];
+
+  return (label === undefined) ? null : label.value;
+}
+
+/*
+* Converts a Wikidata time value to a year.
+* Wikidata counts years BCE back from -1 (with no year 0), and gives each time a precision: 9 for a year (or finer),
+* 8 for a decade, 7 for a century and 6 for a millennium.
+*
+* value: Required. The time value, e.g. { "time": "-0469-00-00T00:00:00Z", "precision": 9, ... }.
+*
+* Returns: null if the value can't be read or is too imprecise. Otherwise an object with the year in astronomical
+*          numbering ('yr') and how uncertain it is ('uncertainty'), as for parseApproxYr.
+*/
+function parseWikidataTime(value) {
+  var groups = /^([+-])0*([0-9]+)-/.exec(value.time);
+  if (groups === null || parseInt(groups[2]) == 0) {
+    return null;
+  }
+  var isBC = groups[1] == '-';
+  var number = parseInt(groups[2]);
+
+  if (value.precision >= wikidataYrPrecision) {
+    return {'yr': isBC ? 1 - number : number, 'uncertainty': null};
+  }
+
+  var size = wikidataPrecisionYrs[value.precision];
+  if (size === undefined) {
+    return null;
+  }
+
+  // Wikidata shows a decade as e.g. "1680s", but a century or millennium as an ordinal, so the year 1800 at century
+  // precision is the 18th century (1701 through 1800)
+  var firstNumber, lastNumber;
+  if (size == 10) {
+    firstNumber = Math.floor(number / size) * size;
+    lastNumber = firstNumber + size - 1;
+  } else {
+    lastNumber = Math.ceil(number / size) * size;
+    firstNumber = lastNumber - size + 1;
+  }
+  firstNumber = Math.max(1, firstNumber);
+
+  if (isBC) {
+    return years.approxYrBetween(1 - lastNumber, 1 - firstNumber);
+  }
+  return years.approxYrBetween(firstNumber, lastNumber);
+}
+
+/*
+* Converts Wikidata entities into figures, checking each one.
+* Entities with no date of birth or death that aren't people are left out, as they are probably only there to
+* give the names of categories.
+*
+* entities:         Required. The entities, as returned by parseWikidataEntities.
+* categoryProperty: Required. The id of the property the category is taken from (see wikidataCategoryProperties),
+*                   or null for no category. Categories that are entities are named by their labels, if they are
+*                   among the entities.
+* language:         Optional. The language code of the labels to use. Defaults to 'en'.
+*
+* Returns: An array with one entry per figure, like readTableFigures, but with the entity id ('id') rather than a row.
+*/
+function readWikidataFigures(entities, categoryProperty, language) {
+  if (language === undefined) {
+    language = 'en';
+  }
+
+  var labels = {};
+  entities.forEach(function(entity) {
+    labels[entity.id] = getWikidataLabel(entity, language);
+  });
+
+  // Reads a date snak: 'missing' if there's no date, 'unknown' if Wikidata says there is one that isn't known,
+  // 'imprecise' if it can't be drawn, or the year
+  var readDate = function(snak) {
+    if (snak === null || snak.snaktype == 'novalue') {
+      return 'missing';
+    }
+    if (snak.snaktype == 'somevalue') {
+      return 'unknown';
+    }
+    if (!snak.datavalue || snak.datavalue.type != 'time') {
+      return 'imprecise';
+    }
+
+    var approxYr = parseWikidataTime(snak.datavalue.value);
+    return (approxYr === null) ? 'imprecise' : approxYr;
+  };
+
+  var readCategory = function(entity) {
+    var snak = (categoryProperty === null) ? null : getWikidataSnak(entity, categoryProperty);
+    if (snak === null || !snak.datavalue) {
+      return '';
+    }
+
+    var value = snak.datavalue.value;
+    switch (snak.datavalue.type) {
+      case 'wikibase-entityid':
+        var id = value.id || 'Q' + value['numeric-id'];
+        return labels[id] || id;
+      case 'monolingualtext':
+        return value.text;
+      case 'string':
+        return value;
+      default:
+        return '';
+    }
+  };
+
+  var isHuman = function(entity) {
+    var snak = getWikidataSnak(entity, 'P31');
+    return snak !== null && snak.datavalue !== undefined && snak.datavalue.value.id == wikidataHuman;
+  };
+
+  var figures = [];
+  entities.forEach(function(entity) {
+    var birthSnak = getWikidataSnak(entity, wikidataBirthProperty);
+    var deathSnak = getWikidataSnak(entity, wikidataDeathProperty);
+    if (birthSnak === null && deathSnak === null && !isHuman(entity)) {
+      return;
+    }
+
+    var figure = {
+      'id': entity.id,
+      'name': labels[entity.id] || entity.id,
+      'startYr': null, 'endYr': null,
+      'category': readCategory(entity),
+      'startUncertainty': null, 'endUncertainty': null,
+      'endUnknown': false,
+      'floruit': false,
+      'errors': []
+    };
+
+    var birth = readDate(birthSnak);
+    if (birth == 'missing' || birth == 'unknown') {
+      figure.errors.push('Date of birth (' + wikidataBirthProperty + ') is missing');
+    } else if (birth == 'imprecise') {
+      figure.errors.push('Date of birth (' + wikidataBirthProperty + ') is too imprecise');
+    } else {
+      figure.startYr = birth.yr;
+      figure.startUncertainty = birth.uncertainty;
+    }
+
+    var death = readDate(deathSnak);
+    if (death == 'imprecise') {
+      figure.errors.push('Date of death (' + wikidataDeathProperty + ') is too imprecise');
+    } else if (death == 'unknown') {
+      figure.endUnknown = true;
+    } else if (death == 'missing') {
+      figure.endUnknown = figure.startYr !== null && figure.startYr < image.curYr - wikidataMaxLifespan;
+    } else {
+      figure.endYr = death.yr;
+      figure.endUncertainty = death.uncertainty;
+      if (figure.startYr !== null && figure.endYr < figure.startYr) {
+        figure.errors.push('End year ' + years.formatYr(figure.endYr) + ' is before start year ' + years.formatYr(figure.startYr));
+      }
+    }
+
+    figures.push(figure);
+  });
+
+  return figures;
+}
+
+// Exports
+exports.wikidataCategoryProperties = wikidataCategoryProperties;
+exports.parseWikidataEntities = parseWikidataEntities;
+exports.readWikidataFigures = readWikidataFigures;
+}));
@@ -0,0 +1,383 @@
+/*
+* Working with years, including years before the common era.
+*
+* Internally years use astronomical numbering, so that lifespans can be computed by subtraction:
+* year 1 is AD 1, year 0 is 1 BC, year -1 is 2 BC, and so on. There is no year 0 in the
+* BC/AD calendar, so a figure born in 1 BC and dying in AD 1 lived for a single year (1 - 0).
+*
+* People think in BC/AD, so years are parsed from and formatted to that form with parseYr and formatYr.
+*/
+
+(function (root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define(['exports'], factory);
+  } else if (typeof exports === 'object' && typeof exports.nodeName !== 'string') {
+    factory(exports);
+  } else {
+    root.HorizontalHistory = root.HorizontalHistory || {};
+    factory(root.HorizontalHistory);
+  }
+}(typeof self !== 'undefined' ? self : this, function (exports) {
+
+/*
+* Parses a year as a person would write it.
+* Years can be plain numbers ("1945"), negative for BC ("-384"), or have an era ("384 BC", "384 BCE",
+* "384 B.C.", "AD 14", "14 CE").
+*
+* text: Required. The year as text.
+*
+* Returns: The year in astronomical numbering, or NaN if the text isn't a year. There is no year 0, so "0" is NaN.
+*/
+function parseYr(text) {
+  var normalized = String(text).trim().toUpperCase().replace(/\./g, '');
+
+  var parts = /^(AD|CE)?\s*(-)?\s*([0-9]+)\s*(BCE|BC|CE|AD)?$/.exec(normalized);
+  if (parts === null) {
+    return NaN;
+  }
+
+  var leadingEra = parts[1];
+  var negative = parts[2] !== undefined;
+  var number = parseInt(parts[3]);
+  var era = parts[4];
+
+  // "AD 14 BC", "-384 BC" or "-14 AD" don't mean anything
+  if ((leadingEra !== undefined && (negative || era !== undefined)) || (negative && era !== undefined)) {
+    return NaN;
+  }
+
+  if (number == 0) {
+    return NaN;
+  }
+
+  var isBC = era == 'BC' || era == 'BCE';
+  return (negative || isBC) ? 1 - number : number;
+}
+
+/*
+* Formats a year for display.
+*
+* yr: Required. The year in astronomical numbering.
+*
+* Returns: The year as text, e.g. "1945" or "384 BC".
+*/
+function formatYr(yr) {
+  if (yr <= 0) {
+    return (1 - yr) + " BC";
+  }
+
+  return String(yr);
+}
+
+/*
+* Determines the period (year, decade, century or millennium) in which a year belongs.
+* Periods are numbered so that period n holds the years n*size through n*size+size-1 (e.g. decade 194 is the 1940s).
+* BC periods count down from -1: decade -1 is the 0s BC (9 BC through 1 BC), decade -2 is the 10s BC
+* (19 BC through 10 BC), and so on. Because there is no year 0, the periods either side of it (e.g. the 0s and the
+* 0s BC) are a year short.
+* Single years are the exception: each year is its own period, numbered as the year itself.
+*
+* yr:   Required. The year in astronomical numbering.
+* size: Required. The length of the period in years: 1, 10, 100 or 1000.
+*
+* Returns: The period containing 'yr'.
+*/
+function getPeriodForYr(yr, size) {
+  if (size == 1 || yr >= 1) {
+    return Math.floor(yr / size);
+  }
+
+  return -1 - Math.floor((1 - yr) / size);
+}
+
+/*
+* Determines the years a period covers.
+*
+* period: Required. The period, as returned by getPeriodForYr.
+* size:   Required. The length of the period in years.
+*
+* Returns: An object with the period's first year ('startYr') and the first year after it ('endYr'),
+*          both in astronomical numbering.
+*/
+function getPeriodSpan(period, size) {
+  if (size == 1) {
+    return {'startYr': period, 'endYr': period + 1};
+  }
+
+  if (period >= 0) {
+    return {'startYr': Math.max(1, period * size), 'endYr': (period + 1) * size};
+  }
+
+  // The BC period holding (bcPeriod * size) BC through (bcPeriod * size + size - 1) BC
+  var bcPeriod = -1 - period;
+  return {'startYr': 1 - (bcPeriod * size + size - 1), 'endYr': 2 - Math.max(1, bcPeriod * size)};
+}
+
+/*
+* Formats a period for display.
+*
+* period: Required. The period, as returned by getPeriodForYr.
+* size:   Required. The length of the period in years.
+*
+* Returns: The period as text, e.g. "1945", "1940s", "1900s" or "390s BC".
+*/
+function formatPeriod(period, size) {
+  if (size == 1) {
+    return formatYr(period);
+  }
+
+  if (period >= 0) {
+    return (period * size) + "s";
+  }
+
+  return ((-1 - period) * size) + "s BC";
+}
+
+/*
+* Determines whether a year is the first of a period, e.g. the first year of a century.
+*
+* yr:   Required. The year in astronomical numbering.
+* size: Required. The length of the period in years.
+*
+* Returns: True iff 'yr' starts a new period.
+*/
+function startsPeriod(yr, size) {
+  return getPeriodForYr(yr, size) != getPeriodForYr(yr - 1, size);
+}
+
+/*
+* Determines the decade in which a year belongs (see getPeriodForYr).
+*
+* yr: Required. The year in astronomical numbering.
+*
+* Returns: The decade containing 'yr'.
+*/
+function getDecadeForYr(yr) {
+  return getPeriodForYr(yr, 10);
+}
+
+// How far either side of a year "c. 1450" (or "1450?") is taken to mean
+const circaYrs = 5;
+
+/*
+* Parses a year that may be approximate, as a person would write it. As well as exact years (see parseYr), this accepts:
+*   circa years:    "c. 1450", "ca. 1450", "circa 1450", "~1450" or "1450?"
+*   earliest/latest: "1440/1460", "1440..1460", "1440 or 1460" or "between 1440 and 1460"
+*   periods:        "1450s" (a decade), "1400s" (a century, since it ends in 00) or "390s BC"
+*   floruit:        any of the above after "fl." (e.g. "fl. 1200s"), meaning when the figure was active
+*   unknown:        "?" or "unknown"
+*
+* text: Required. The year as text.
+*
+* Returns: null if the text isn't a year. Otherwise an object with:
+*            yr:          The year in astronomical numbering. For a range, this is the middle of it. null if unknown.
+*            uncertainty: null if the year is exact. Otherwise an object with how many years earlier ('earlier') and
+*                         later ('later') than 'yr' it could be, and whether it was given as circa ('circa').
+*            floruit:     Whether the text began with "fl.".
+*/
+function parseApproxYr(text) {
+  var normalized = String(text).trim();
+
+  var floruitGroups = /^(floruit|fl\.?)\s*/i.exec(normalized);
+  var floruit = floruitGroups !== null;
+  if (floruit) {
+    normalized = normalized.substring(floruitGroups[0].length);
+  }
+
+  if (/^(\?|unknown)$/i.test(normalized)) {
+    return {'yr': null, 'uncertainty': null, 'floruit': floruit};
+  }
+
+  var circaGroups = /^(circa|approx\.?|ca\.?|c\.|c(?=\s*[0-9])|~)\s*/i.exec(normalized);
+  var circa = circaGroups !== null;
+  if (circa) {
+    normalized = normalized.substring(circaGroups[0].length);
+  }
+  if (/\?$/.test(normalized)) {
+    circa = true;
+    normalized = normalized.substring(0, normalized.length - 1);
+  }
+
+  var earliestYr = NaN;
+  var latestYr = NaN;
+
+  var rangeGroups = /^(?:between\s+)?(.+?)\s*(?:\/|\.\.|\s(?:and|or)\s)\s*(.+)$/i.exec(normalized);
+  var periodGroups = /^(-)?\s*([0-9]*0)s\s*(BCE|BC|B\.C\.E\.|B\.C\.)?$/i.exec(normalized);
+  if (rangeGroups !== null) {
+    earliestYr = parseYr(rangeGroups[1]);
+    latestYr = parseYr(rangeGroups[2]);
+  } else if (periodGroups !== null) {
+    var number = parseInt(periodGroups[2]);
+    var size = (number > 0 && number % 100 == 0) ? 100 : 10;
+    var isBC = periodGroups[1] !== undefined || periodGroups[3] !== undefined;
+    var span = getPeriodSpan(isBC ? -1 - number / size : number / size, size);
+    earliestYr = span.startYr;
+    latestYr = span.endYr - 1;
+  } else {
+    var yr = parseYr(normalized);
+    if (isNaN(yr)) {
+      return null;
+    }
+
+    var uncertainty = circa ? {'earlier': circaYrs, 'later': circaYrs, 'circa': true} : null;
+    return {'yr': yr, 'uncertainty': uncertainty, 'floruit': floruit};
+  }
+
+  if (isNaN(earliestYr) || isNaN(latestYr) || latestYr < earliestYr) {
+    return null;
+  }
+
+  var approxYr = approxYrBetween(earliestYr, latestYr);
+  approxYr.floruit = floruit;
+  return approxYr;
+}
+
+/*
+* Describes a year that could be anywhere in a range, the way parseApproxYr does.
+*
+* earliestYr: Required. The earliest the year could be, in astronomical numbering.
+* latestYr:   Required. The latest it could be.
+*
+* Returns: An object with the middle of the range ('yr') and how many years earlier and later than it the year could
+*          be ('uncertainty', as for parseApproxYr).
+*/
+function approxYrBetween(earliestYr, latestYr) {
+  var midYr = earliestYr + Math.floor((latestYr - earliestYr) / 2);
+  return {
+    'yr': midYr,
+    'uncertainty': {'earlier': midYr - earliestYr, 'later': latestYr - midYr, 'circa': false}
+  };
+}
+
+/*
+* Formats a year that may be approximate for display, in a form parseApproxYr reads back.
+*
+* yr:          Required. The year in astronomical numbering.
+* uncertainty: Required. null if the year is exact, otherwise as returned by parseApproxYr.
+*
+* Returns: The year as text, e.g. "1945", "c. 1450", "1440/1460" or "1450s".
+*/
+function formatApproxYr(yr, uncertainty) {
+  if (uncertainty === null) {
+    return formatYr(yr);
+  }
+  if (uncertainty.circa) {
+    return "c. " + formatYr(yr);
+  }
+
+  var earliestYr = yr - uncertainty.earlier;
+  var latestYr = yr + uncertainty.later;
+
+  // Use the name of the decade or century, if the range is exactly one (and would be read back as the same one)
+  var periodText = [10, 100].map(function(size) {
+    return formatPeriod(getPeriodForYr(earliestYr, size), size);
+  }).find(function(text) {
+    var approxYr = parseApproxYr(text);
+    return approxYr !== null && approxYr.yr - approxYr.uncertainty.earlier == earliestYr &&
+      approxYr.yr + approxYr.uncertainty.later == latestYr;
+  });
+  if (periodText !== undefined) {
+    return periodText;
+  }
+
+  return formatYr(earliestYr) + "/" + formatYr(latestYr);
+}
+
+/*
+* Parses the start and end of a figure's span of years, as a person would write them (see parseApproxYr).
+*
+* startText: Required. The start year as text.
+* endText:   Required. The end year as text. Empty if the figure is still living, or "?" if the end isn't known.
+*
+* Returns: An object with:
+*            startYr, endYr: The years in astronomical numbering. endYr is null if it is empty or unknown.
+*            dates:          How certain the years are: an object with 'startUncertainty' and 'endUncertainty'
+*                            (as for parseApproxYr), 'endUnknown' (true if the end isn't known, rather than the
+*                            figure still living) and 'floruit' (true if either year began with "fl.").
+*            errors:         An array of messages; the years are only usable if this is empty.
+*/
+function parseYrSpan(startText, endText) {
+  var span = {
+    'startYr': null, 'endYr': null,
+    'dates': {'startUncertainty': null, 'endUncertainty': null, 'endUnknown': false, 'floruit': false},
+    'errors': []
+  };
+  var example = " (e.g. 1945, 384 BC, c. 1450, 1440/1460 or 1450s)";
+
+  if (String(startText).trim() === '') {
+    span.errors.push('Start year is missing');
+  } else {
+    var start = parseApproxYr(startText);
+    if (start === null || start.yr === null) {
+      span.errors.push('Start year "' + startText + '" is not a year' + example);
+    } else {
+      span.startYr = start.yr;
+      span.dates.startUncertainty = start.uncertainty;
+      span.dates.floruit = start.floruit;
+    }
+  }
+
+  // An empty end year means the figure is still alive
+  if (String(endText).trim() !== '') {
+    var end = parseApproxYr(endText);
+    if (end === null) {
+      span.errors.push('End year "' + endText + '" is not a year' + example);
+    } else if (end.yr === null) {
+      span.dates.endUnknown = true;
+    } else {
+      span.endYr = end.yr;
+      span.dates.endUncertainty = end.uncertainty;
+      span.dates.floruit = span.dates.floruit || end.floruit;
+      if (span.startYr !== null && span.endYr < span.startYr) {
+        span.errors.push('End year ' + formatYr(span.endYr) + ' is before start year ' + formatYr(span.startYr));
+      }
+    }
+  }
+
+  return span;
+}
+
+/*
+* Formats the start of a figure's span of years, in a form parseYrSpan reads back.
+*
+* startYr: Required. The start year in astronomical numbering.
+* dates:   Required. How certain the years are, as for parseYrSpan.
+*
+* Returns: The start year as text, e.g. "1452" or "fl. c. 1200".
+*/
+function formatStartYr(startYr, dates) {
+  return (dates.floruit ? "fl. " : "") + formatApproxYr(startYr, dates.startUncertainty);
+}
+
+/*
+* Formats the end of a figure's span of years, in a form parseYrSpan reads back.
+*
+* endYr: Required. The end year in astronomical numbering, or null.
+* dates: Required. How certain the years are, as for parseYrSpan.
+*
+* Returns: The end year as text: e.g. "1519" or "c. 1519", "?" if it isn't known, or "" if the figure is still living.
+*/
+function formatEndYr(endYr, dates) {
+  if (endYr === null) {
+    return dates.endUnknown ? "?" : "";
+  }
+
+  return formatApproxYr(endYr, dates.endUncertainty);
+}
+
+// Exports
+exports.parseYr = parseYr;
+exports.formatYr = formatYr;
+exports.getPeriodForYr = getPeriodForYr;
+exports.getPeriodSpan = getPeriodSpan;
+exports.formatPeriod = formatPeriod;
+exports.startsPeriod = startsPeriod;
+exports.getDecadeForYr = getDecadeForYr;
+exports.circaYrs = circaYrs;
+exports.parseApproxYr = parseApproxYr;
+exports.approxYrBetween = approxYrBetween;
+exports.formatApproxYr = formatApproxYr;
+exports.parseYrSpan = parseYrSpan;
+exports.formatStartYr = formatStartYr;
+exports.formatEndYr = formatEndYr;
+}));